@@ -0,0 +1,409 @@
+/*\
+
+title: $:/plugins/felixhayashi/tiddlymap/js/filter/tmap
+type: application/javascript
+module-type: filteroperator
+
+@preserve
+
+\*/
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*** Exports *******************************************************/
+
+exports.tmap = run;
+
+/*** Imports *******************************************************/
+
+var EdgeType = require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
+var utils    = require("$:/plugins/felixhayashi/tiddlymap/js/utils");
+
+/*** Code **********************************************************/
+
+/**
+ * Tiddlywiki splits an operator name at the first colon and passes
+ * everything after it as suffix. We make use of this and register
+ * a single `tmap` operator whose suffix denotes the graph query to
+ * run, e.g. `[[Project X]tmap:neighbours[2]]`.
+ *
+ * Every command is called with the titles of the input set as
+ * first argument; the operator's operand, the remaining suffix
+ * parts and the operator object itself follow.
+ *
+ * @param {function} source - The tw source iterator.
+ * @param {Object} operator - The tw operator object.
+ * @param {Object} options - The tw options object.
+ * @return {Array<TiddlerReference>} The result set.
+ * @private
+ */
+function run(source, operator, options) {
+
+  var suffix = (operator.suffix || "").split(":");
+  var fn = command[suffix[0]];
+
+  if(typeof fn !== "function") {
+    return [ "Filter Error: Unknown tmap operator suffix '"
+             + suffix[0] + "'" ];
+  }
+
+  // tiddlymap has not been started yet (e.g. on the server side)
+  if(typeof $tm === "undefined" || !$tm.adapter) {
+    return [];
+  }
+
+  var titles = [];
+  source(function(tObj, tRef) {
+    titles.push(tRef);
+  });
+
+  // graph queries may be nested, e.g. when a tw-filter edge field
+  // that is evaluated during a query runs a query itself. Only if
+  // a query needs its own result, i.e. it is already running with
+  // the same input, we would end up in an endless recursion.
+  var key = JSON.stringify([ operator.suffix, operator.operand, titles ]);
+  if(runningQueries[key] || depth >= maxDepth) {
+    $tm.logger("warn", "Recursive tmap query", operator.suffix, titles);
+    return [ "Filter Error: Recursive tmap query '"
+             + operator.suffix + "'" ];
+  }
+
+  runningQueries[key] = true;
+  depth++;
+
+  try {
+    return fn(titles, operator.operand, suffix.slice(1), operator);
+  } finally {
+    delete runningQueries[key];
+    depth--;
+  }
+
+};
+
+/**
+ * The queries that are currently evaluated, identified by their
+ * suffix, operand and input set.
+ *
+ * @private
+ */
+var runningQueries = utils.makeHashMap();
+
+/**
+ * The number of nested queries that are currently evaluated and
+ * the maximal nesting, which guards against recursions that change
+ * their input with each step.
+ *
+ * @private
+ */
+var depth = 0;
+var maxDepth = 16;
+
+/**
+ * The graph queries available via the `tmap` filter operator.
+ *
+ * @private
+ */
+var command = utils.makeHashMap();
+
+/**
+ * Returns all neighbours of the input set that are reachable within
+ * a given number of steps. The operand specifies the number of
+ * steps (default: 1). Optionally, the direction in which edges are
+ * travelled ("in", "out" or "both") and an edge type may be
+ * specified via the suffix.
+ *
+ * Examples:
+ *
+ * - `[[Project X]tmap:neighbours[2]]`
+ * - `[[Alice]tmap:neighbours:out[]]`
+ * - `[[Alice]tmap:neighbours:both:foaf:knows[3]]`
+ *
+ * @param {Array<TiddlerReference>} titles - The input set.
+ * @param {string} [steps] - The number of steps.
+ * @param {Array<string>} suffix - The direction followed by the
+ *     parts of an edge type id.
+ * @return {Array<TiddlerReference>} The neighbours.
+ */
+command["neighbours"] = function(titles, steps, suffix) {
+
+  return getNeighbours(titles, {
+    steps: parseInt(steps),
+    direction: suffix[0],
+    typeWL: getTypeWhitelist(suffix.slice(1).join(":"))
+  });
+
+};
+
+/**
+ * Returns all tiddlers that are connected to the input set via an
+ * edge that points to a tiddler of the input set. The operand may
+ * be used to restrict the edges to a certain type.
+ *
+ * Example: `[[Alice]tmap:incoming[foaf:knows]]`
+ *
+ * @param {Array<TiddlerReference>} titles - The input set.
+ * @param {string} [type] - An edge type id.
+ * @return {Array<TiddlerReference>} The neighbours.
+ */
+command["incoming"] = function(titles, type) {
+
+  return getNeighbours(titles, {
+    direction: "in",
+    typeWL: getTypeWhitelist(type)
+  });
+
+};
+
+/**
+ * Returns all tiddlers that are connected to the input set via an
+ * edge that points away from a tiddler of the input set. The
+ * operand may be used to restrict the edges to a certain type.
+ *
+ * Example: `[[Alice]tmap:outgoing[foaf:knows]]`
+ *
+ * @param {Array<TiddlerReference>} titles - The input set.
+ * @param {string} [type] - An edge type id.
+ * @return {Array<TiddlerReference>} The neighbours.
+ */
+command["outgoing"] = function(titles, type) {
+
+  return getNeighbours(titles, {
+    direction: "out",
+    typeWL: getTypeWhitelist(type)
+  });
+
+};
+
+/**
+ * Returns the tiddlers that lie on the shortest route between a
+ * tiddler of the input set and the tiddler specified as operand,
+ * both ends included. As with `neighbours`, a direction and an
+ * edge type may be specified via the suffix.
+ *
+ * Examples:
+ *
+ * - `[[Alice]tmap:path[Bob]]`
+ * - `[[Alice]tmap:path:out:foaf:knows[Bob]]`
+ *
+ * @param {Array<TiddlerReference>} titles - The input set.
+ * @param {TiddlerReference} to - The tiddler to reach.
+ * @param {Array<string>} suffix - The direction followed by the
+ *     parts of an edge type id.
+ * @return {Array<TiddlerReference>} The tiddlers along the route(s).
+ */
+command["path"] = function(titles, to, suffix) {
+
+  var opts = {
+    direction: suffix[0],
+    typeWL: getTypeWhitelist(suffix.slice(1).join(":"))
+  };
+
+  var results = [];
+  var isAdded = utils.makeHashMap();
+
+  for(var i = 0, l = titles.length; i < l; i++) {
+    var path = $tm.adapter.getShortestPath(titles[i], to, opts);
+    if(!path) continue;
+
+    for(var j = 0; j < path.nodes.length; j++) {
+      if(!isAdded[path.nodes[j]]) {
+        isAdded[path.nodes[j]] = true;
+        results.push(path.nodes[j]);
+      }
+    }
+  }
+
+  return results;
+
+};
+
+/**
+ * Returns the ids of all edge types that connect a tiddler of the
+ * input set with the tiddler specified as operand. If no operand
+ * is given, the types of all edges attached to the input set are
+ * returned.
+ *
+ * Example: `[[Alice]tmap:edge-type-of[Bob]]`
+ *
+ * @param {Array<TiddlerReference>} titles - The input set.
+ * @param {TiddlerReference} [other] - The tiddler at the other end.
+ * @return {Array<string>} A list of edge type ids.
+ */
+command["edge-type-of"] = function(titles, other) {
+
+  var adapter = $tm.adapter;
+  var types = utils.makeHashMap();
+
+  if(other) {
+
+    var otherWL = utils.getArrayValuesAsHashmapKeys([ other ]);
+    var titleWL = utils.getArrayValuesAsHashmapKeys(titles);
+
+    // edges in both directions
+    var edges = adapter.getEdgesForSet(titles, otherWL);
+    $tw.utils.extend(edges, adapter.getEdges(other, titleWL));
+
+  } else {
+
+    // collect the outgoing and incoming edges of every tiddler;
+    // edges between two tiddlers of the input set are included too
+    var index = adapter.getAdjacencyIndex();
+    var idByT = $tm.indeces.idByT;
+    var edges = utils.makeHashMap();
+    for(var i = titles.length; i--;) {
+      $tw.utils.extend(edges, index.outByT[titles[i]],
+                              index.inById[idByT[titles[i]]]);
+    }
+
+  }
+
+  for(var id in edges) {
+    types[edges[id].type] = true;
+  }
+
+  return Object.keys(types);
+
+};
+
+/**
+ * Only keeps tiddlers of the input set that are connected to at
+ * least one other tiddler via an edge of the type specified as
+ * operand; if no type is given, edges of any type are considered.
+ * Use the `!` prefix to select tiddlers that are *not* connected.
+ *
+ * Example: `[all[tiddlers]tmap:connected-via[foaf:knows]]`
+ *
+ * @param {Array<TiddlerReference>} titles - The input set.
+ * @param {string} [type] - An edge type id.
+ * @param {Array<string>} suffix - Unused.
+ * @param {Object} operator - The tw operator object.
+ * @return {Array<TiddlerReference>} The filtered input set.
+ */
+command["connected-via"] = function(titles, type, suffix, operator) {
+
+  var adapter = $tm.adapter;
+  var isNegated = (operator.prefix === "!");
+  var edges = (type
+               ? adapter.selectEdgesByType(type)
+               : adapter.getEdgesForSet(adapter.getAllPotentialNodes()));
+  var idByT = $tm.indeces.idByT;
+
+  var connected = utils.makeHashMap();
+  for(var id in edges) {
+    connected[edges[id].from] = true;
+    connected[edges[id].to] = true;
+  }
+
+  var results = [];
+  for(var i = 0, l = titles.length; i < l; i++) {
+    var isConnected = !!connected[idByT[titles[i]]];
+    if(isConnected !== isNegated) {
+      results.push(titles[i]);
+    }
+  }
+
+  return results;
+
+};
+
+/**
+ * Returns all tiddlers that belong to the same connected component
+ * (island) as the tiddlers of the input set, the input set
+ * included. The direction of edges is ignored. The operand may be
+ * used to restrict the edges to a certain type.
+ *
+ * Example: `[[Alice]tmap:component[]]`
+ *
+ * @param {Array<TiddlerReference>} titles - The input set.
+ * @param {string} [type] - An edge type id.
+ * @return {Array<TiddlerReference>} The members of the components.
+ */
+command["component"] = function(titles, type) {
+
+  var partition = $tm.adapter.getComponents({
+    typeWL: getTypeWhitelist(type)
+  });
+
+  var results = [];
+  var isAdded = utils.makeHashMap();
+
+  for(var i = 0, l = titles.length; i < l; i++) {
+    var index = partition.byTRef[titles[i]];
+    if(index == null || isAdded[index]) continue;
+
+    isAdded[index] = true;
+    results = results.concat(partition.components[index]);
+  }
+
+  return results;
+
+};
+
+/**
+ * Only keeps tiddlers of the input set that are orphans, i.e.
+ * potential nodes without any edge. The operand may be used to
+ * only consider edges of a certain type. Use the `!` prefix to
+ * select tiddlers that are *not* orphans.
+ *
+ * Example: `[all[tiddlers]tmap:orphans[]]`
+ *
+ * @param {Array<TiddlerReference>} titles - The input set.
+ * @param {string} [type] - An edge type id.
+ * @param {Array<string>} suffix - Unused.
+ * @param {Object} operator - The tw operator object.
+ * @return {Array<TiddlerReference>} The filtered input set.
+ */
+command["orphans"] = function(titles, type, suffix, operator) {
+
+  var isNegated = (operator.prefix === "!");
+  var orphans = utils.getArrayValuesAsHashmapKeys(
+    $tm.adapter.getComponents({ typeWL: getTypeWhitelist(type) }).orphans
+  );
+
+  var results = [];
+  for(var i = 0, l = titles.length; i < l; i++) {
+    if(!!orphans[titles[i]] !== isNegated) {
+      results.push(titles[i]);
+    }
+  }
+
+  return results;
+
+};
+
+/**
+ * Wrapper around {@link Adapter#getNeighbours} that translates the
+ * neighbour nodes back into tiddler references.
+ *
+ * @private
+ */
+function getNeighbours(titles, opts) {
+
+  var nodes = $tm.adapter.getNeighbours(titles, opts).nodes;
+  var tById = $tm.indeces.tById;
+
+  var results = [];
+  for(var id in nodes) {
+    results.push(tById[id]);
+  }
+
+  return results;
+
+};
+
+/**
+ * @private
+ * @param {string} [type] - An edge type id.
+ * @return {Hashmap<string, boolean>|undefined} A whitelist that
+ *     contains the type and all its subtypes or undefined if no
+ *     type is given.
+ */
+function getTypeWhitelist(type) {
+
+  if(!type) return;
+
+  return new EdgeType(type).getSubtypeWhitelist();
+
+};
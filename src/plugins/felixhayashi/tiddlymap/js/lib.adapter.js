@@ -54,47 +54,518 @@ function Adapter() {
                               
 };
 
+/**
+ * Executes a function as a transaction.
+ * 
+ * All tiddlers that TiddlyMap adds or deletes while the function
+ * runs (nodes, edges, views, types…) are journaled (see
+ * {@link utils.startJournal}); temporary tiddlers and other user
+ * interface state are not (see {@link utils.storeTiddler}). The
+ * tiddlers are still written one by one, however, TiddlyWiki
+ * dispatches the resulting change events in a single batch after
+ * the transaction. Updates of the adjacency index are postponed
+ * until the index is queried or the transaction ends.
+ * 
+ * If the function throws, all journaled tiddlers are restored to
+ * their previous state, the indeces are rebuilt and the error is
+ * rethrown.
+ * 
+ * If a label is passed, the transaction is recorded as a single
+ * step that may be undone via `$tm.undoManager`.
+ * 
+ * A transaction started within a transaction is merged into the
+ * outer one.
+ * 
+ * @param {function} fn - The function to execute. It is called
+ *     with the adapter as `this`.
+ * @param {string} [label] - A human readable description of the
+ *     modifications that is shown when undoing them.
+ * @return {*} The return value of `fn`.
+ */
+Adapter.prototype.transaction = function(fn, label) {
+  
+  if(this._transaction) {
+    this._transaction.label = this._transaction.label || label;
+    return fn.call(this);
+  }
+  
+  $tm.start("Transaction");
+  
+  var journal = utils.startJournal();
+  this._transaction = {
+    label: label,
+    journal: journal,
+    unindexed: utils.makeHashMap(),
+    edgeTiddlers: []
+  };
+  var isCommitted = false;
+  
+  try {
+    
+    var result = fn.call(this);
+    isCommitted = true;
+    
+  } finally {
+    
+    utils.stopJournal();
+    
+    var unindexed = Object.keys(this._transaction.unindexed);
+    var edgeTiddlers = this._transaction.edgeTiddlers;
+    label = this._transaction.label;
+    this._transaction = null;
+    
+    if(isCommitted) {
+      
+      this.updateAdjacencyIndex(unindexed);
+      
+    } else {
+      
+      this._rollback(journal);
+      
+    }
+    
+    $tm.stop("Transaction");
+    
+  }
+  
+  if(label && $tm.undoManager) {
+    $tm.undoManager.record(label, journal);
+  }
+  
+  // ask only once for all edges deleted during the transaction
+  this._offerToDeleteEdgeTiddlers(edgeTiddlers);
+  
+  return result;
+  
+};
+
+/**
+ * Restores the journaled tiddlers of a failed transaction.
+ * 
+ * Since ids may have been assigned and views may have cached
+ * modifications during the transaction, the id indeces and the
+ * caches of all views in use are rebuilt and the adjacency index is
+ * dropped.
+ * 
+ * @private
+ * @param {Hashmap<TiddlerReference, $tw.Tiddler|null>} journal -
+ *     The states of the tiddlers before the transaction.
+ */
+Adapter.prototype._rollback = function(journal) {
+  
+  $tm.logger("warn", "Rolling back transaction", Object.keys(journal));
+  
+  var wiki = $tw.wiki;
+  for(var tRef in journal) {
+    if(journal[tRef]) {
+      wiki.addTiddler(journal[tRef]);
+    } else if(wiki.tiddlerExists(tRef)) {
+      wiki.deleteTiddler(tRef);
+    }
+  }
+  
+  // existing entries are only overridden, never deleted, as some
+  // instances may have cached the index (see deleteNode)
+  var tById = $tm.indeces.tById;
+  var idByT = $tm.indeces.idByT;
+  wiki.each(function(tObj, tRef) {
+    var id = tObj.fields["tmap.id"];
+    if(id && !utils.isSystemOrDraft(tObj)) {
+      tById[id] = tRef;
+      idByT[tRef] = id;
+    }
+  });
+  
+  $tm.indeces.adjacency = null;
+  
+  // the registry does not exist yet when the fixer makes its dry run
+  var registry = $tm.registry || [];
+  for(var i = registry.length; i--;) {
+    if(registry[i].view instanceof ViewAbstraction) {
+      registry[i].view.rebuildCache(true);
+    }
+  }
+  
+};
+
 /**
  * This function will delete the specified edge object from
  * the system.
+ * 
+ * If the deletion was started by the user in a map and the edge
+ * possesses an edge tiddler (see {@link Adapter#makeEdgeTiddler}),
+ * the user is asked whether to delete or keep the note.
  *
  * @param {Edge} edge - The edge to be deleted. The edge necessarily
  *     needs to possess an `id` and a `from` property.
+ * @param {Object} [options] - An options object.
+ * @param {boolean} [options.isUserAction] - Whether the user deleted
+ *     the edge in a map. Otherwise, edge tiddlers are always kept.
  * @return {Edge} The deleted edge is returned.
  */
-Adapter.prototype.deleteEdge = function(edge) {
-      
-  return this._processEdge(edge, "delete");
+Adapter.prototype.deleteEdge = function(edge, options) {
+  
+  var isUserAction = !!(options && options.isUserAction);
+  var edgeTiddlers = (isUserAction ? this._getEdgeTiddlers([ edge ]) : []);
+  var result = this._processEdge(edge, "delete");
+  this._offerToDeleteEdgeTiddlers(edgeTiddlers);
+  
+  return result;
   
 };
   
 /**
  * Removes multiple edges from several stores.
  * 
+ * If the deletion was started by the user in a map, the user is
+ * asked only once what should happen to the edge tiddlers of the
+ * deleted edges.
+ * 
  * @param {EdgeCollection} edges - The edges to be deleted.
+ * @param {Object} [options] - See {@link Adapter#deleteEdge}.
  */
-Adapter.prototype.deleteEdges = function(edges) {
+Adapter.prototype.deleteEdges = function(edges, options) {
   
   edges = utils.convert(edges, "array");
+  var isUserAction = !!(options && options.isUserAction);
+  var edgeTiddlers = (isUserAction ? this._getEdgeTiddlers(edges) : []);
+  
+  this.transaction(function() {
+    for(var i = edges.length; i--;) {
+      this._processEdge(edges[i], "delete");
+    }
+  });
+  
+  this._offerToDeleteEdgeTiddlers(edgeTiddlers);
+  
+};
+
+/**
+ * Returns the existing edge tiddlers of the given edges. The stored
+ * version of each edge is consulted, so the passed edges only need
+ * to possess an `id` and a `from` property.
+ * 
+ * @private
+ * @param {Array<Edge>} edges - The edges.
+ * @return {Array<TiddlerReference>} The edge tiddlers.
+ */
+Adapter.prototype._getEdgeTiddlers = function(edges) {
+  
+  var tRefs = [];
   for(var i = edges.length; i--;) {
-    this.deleteEdge(edges[i]);
+    if(!edges[i] || !edges[i].id) continue;
+    
+    var stored = this.selectEdgeById(edges[i].id, edges[i].from);
+    if(stored && stored.tiddler && utils.tiddlerExists(stored.tiddler)) {
+      tRefs.push(stored.tiddler);
+    }
+  }
+  
+  return tRefs;
+  
+};
+
+/**
+ * Opens a dialog that lets the user decide whether the edge
+ * tiddlers of deleted edges should be deleted as well or kept.
+ * Within a transaction, the dialog is postponed until the
+ * transaction has been committed.
+ * 
+ * @private
+ * @param {Array<TiddlerReference>} tRefs - The edge tiddlers.
+ */
+Adapter.prototype._offerToDeleteEdgeTiddlers = function(tRefs) {
+  
+  if(this._transaction) {
+    var pending = this._transaction.edgeTiddlers;
+    this._transaction.edgeTiddlers = pending.concat(tRefs);
+    return;
+  }
+  
+  if(!tRefs.length || !$tm.dialogManager) return;
+  
+  var params = {
+    count: tRefs.length.toString(),
+    tiddlers: $tw.utils.stringifyList(tRefs),
+    dialog: {
+      preselects: {
+        "edge-tiddlers": "keep"
+      }
+    }
+  };
+  
+  var name = "deleteEdgeTiddlers";
+  $tm.dialogManager.open(name, params, function(isConfirmed, outTObj) {
+    
+    if(!isConfirmed || outTObj.fields["edge-tiddlers"] !== "delete") {
+      return;
+    }
+    
+    this.transaction(function() {
+      utils.deleteTiddlers(tRefs);
+    }, "Delete edge tiddlers");
+    
+    $tm.notify("Deleted " + tRefs.length + " edge tiddler"
+               + (tRefs.length > 1 ? "s" : ""));
+    
+  }.bind(this));
+  
+};
+
+/**
+ * Only edges that are stored by TiddlyMap itself are able to hold
+ * additional data (see {@link utils.getEdgeData}). Links, tags,
+ * fields and the like are not.
+ * 
+ * @param {Edge} edge - The edge to check.
+ * @return {boolean} True if the edge is able to hold data.
+ */
+Adapter.prototype.canHoldEdgeData = function(edge) {
+  
+  var type = $tm.indeces.allETy[edge.type] || new EdgeType(edge.type);
+  
+  return (type.namespace !== "tw-body"
+          && !$tm.indeces.maETyFiNa[type.name]);
+  
+};
+
+/**
+ * Returns the edge tiddler of an edge, i.e. a tiddler that holds a
+ * note on this particular relationship. If the edge has no edge
+ * tiddler yet, one is created and its title is stored along with
+ * the edge in the `tiddler` property.
+ * 
+ * @param {Edge} edge - The edge. The edge necessarily needs to
+ *     possess an `id` and a `from` property.
+ * @return {TiddlerReference|undefined} The title of the edge tiddler
+ *     or undefined if the edge does not exist or is not able to
+ *     hold data.
+ */
+Adapter.prototype.makeEdgeTiddler = function(edge) {
+  
+  edge = this.selectEdgeById(edge.id, edge.from);
+  if(!edge || !this.canHoldEdgeData(edge)) return;
+  
+  if(edge.tiddler) {
+    // the tiddler may have been deleted in the meantime
+    utils.addTiddler(edge.tiddler);
+    return edge.tiddler;
   }
   
+  var tById = $tm.indeces.tById;
+  var type = $tm.indeces.allETy[edge.type] || new EdgeType(edge.type);
+  var title = tById[edge.from] + " –" + type.getLabel()
+              + "→ " + tById[edge.to];
+  
+  edge.tiddler = $tw.wiki.generateNewTitle(title);
+  utils.addTiddler(edge.tiddler);
+  
+  // inserting an edge with an existing id overrides the edge
+  if(!this.insertEdge(edge)) {
+    utils.removeTiddler(edge.tiddler);
+    return;
+  }
+  
+  return edge.tiddler;
+  
 };
   
 /**
  * Persists an edge by storing the vector (from, to, type).
  * 
+ * If the source node already possesses the maximal number of edges
+ * of this type (see {@link EdgeType#getCardinality}), the edge is
+ * not inserted. Depending on `options.onCardinalityViolation`, the
+ * user is asked whether the edge should replace one of the existing
+ * edges or the edge is skipped silently, so bulk operations can
+ * collect the skipped edges (see
+ * {@link Adapter#getCardinalityConflicts}) and report them at once.
+ * 
  * @param {Edge} edge - The edge to be saved. The edge necessarily
  *     needs to possess a `to` and a `from` property.
- * @return {Edge} The newly inserted edge.
+ * @param {Object} [options] - An options object.
+ * @param {("ask"|"skip")} [options.onCardinalityViolation="ask"] -
+ *     Whether to ask the user or to skip the edge if the maximal
+ *     number of edges is reached.
+ * @return {Edge|undefined} The newly inserted edge or undefined if
+ *     the edge was not inserted (yet).
  */  
-Adapter.prototype.insertEdge = function(edge) {
+Adapter.prototype.insertEdge = function(edge, options) {
+  
+  var onViolation = (options && options.onCardinalityViolation) || "ask";
+  var existing = this.getCardinalityConflicts(edge);
+  
+  if(existing) {
+    
+    if(onViolation === "skip") return;
+    
+    // the fixer runs before the dialog manager exists
+    if($tm.dialogManager) {
+      this._offerToReplaceEdge(edge, existing);
+      return;
+    }
+    
+  }
   
   return this._processEdge(edge, "insert");
   
 };
 
+/**
+ * Checks whether the source of the edge already possesses the
+ * maximal number of edges of the edge's type or one of its subtypes
+ * (see {@link EdgeType#getCardinality}). An edge with the same id is
+ * not counted since it would only be updated.
+ * 
+ * @param {Edge} edge - The edge to be inserted.
+ * @return {EdgeCollection|undefined} The existing edges that prevent
+ *     the edge from being inserted or undefined if the edge may be
+ *     inserted.
+ */
+Adapter.prototype.getCardinalityConflicts = function(edge) {
+  
+  var type = new EdgeType(edge.type);
+  var max = type.getCardinality().max;
+  
+  if(max == null || !edge.from) return;
+  
+  var fromTRef = $tm.indeces.tById[edge.from];
+  var existing = this._getOutgoingEdgesOfType(fromTRef, type);
+  
+  // an edge that is only updated doesn't count
+  if(edge.id) delete existing[edge.id];
+  
+  return (Object.keys(existing).length >= max ? existing : undefined);
+  
+};
+
+/**
+ * Asks the user whether the edge should replace one of the existing
+ * edges of the same type. If the user cancels, the edge is dropped.
+ * 
+ * @private
+ * @param {Edge} edge - The edge that couldn't be inserted.
+ * @param {EdgeCollection} existing - The edges of the same type that
+ *     start at the same node.
+ */
+Adapter.prototype._offerToReplaceEdge = function(edge, existing) {
+  
+  var type = new EdgeType(edge.type);
+  var tById = $tm.indeces.tById;
+  var targets = [];
+  for(var id in existing) {
+    targets.push(tById[existing[id].to]);
+  }
+  
+  var params = {
+    from: tById[edge.from],
+    to: tById[edge.to],
+    type: type.id,
+    max: "" + type.getCardinality().max,
+    targets: $tw.utils.stringifyList(targets),
+    dialog: {
+      preselects: {
+        "replace": targets[0]
+      }
+    }
+  };
+  
+  var name = "replaceEdge";
+  $tm.dialogManager.open(name, params, function(isConfirmed, outTObj) {
+    
+    if(!isConfirmed) return;
+    
+    var target = outTObj.fields.replace;
+    var replaced = null;
+    for(var id in existing) {
+      if(tById[existing[id].to] === target) {
+        replaced = existing[id];
+        break;
+      }
+    }
+    
+    if(!replaced) {
+      $tm.notify("No edge to replace selected");
+      return;
+    }
+    
+    this.transaction(function() {
+      this.deleteEdge(replaced, { isUserAction: true });
+      this._processEdge(edge, "insert");
+    }, "Replace edge");
+    
+    $tm.notify("Edge replaced");
+    
+  }.bind(this));
+  
+};
+
+/**
+ * Returns the edges of the given type or of one of its subtypes that
+ * start at the given tiddler.
+ * 
+ * @private
+ * @param {TiddlerReference} tRef - The source of the edges.
+ * @param {EdgeType} type - The edge type.
+ * @return {EdgeCollection} The edges.
+ */
+Adapter.prototype._getOutgoingEdgesOfType = function(tRef, type) {
+  
+  var edges = this.getEdges(tRef) || {};
+  var allETy = $tm.indeces.allETy;
+  var result = utils.makeHashMap();
+  
+  for(var id in edges) {
+    var edgeType = allETy[edges[id].type] || new EdgeType(edges[id].type);
+    if(edgeType.isA(type)) result[id] = edges[id];
+  }
+  
+  return result;
+  
+};
+
+/**
+ * Checks the outgoing edges of a node against the cardinalities of
+ * all edge types (see {@link EdgeType#getCardinality}).
+ * 
+ * @param {TiddlerReference} tRef - The node's tiddler.
+ * @return {Array<Object>} A list of violations, each consisting of
+ *     the `type`, the number of edges (`count`), the `reason` (either
+ *     "min" or "max") and the violated `limit`.
+ */
+Adapter.prototype.getCardinalityViolations = function(tRef) {
+  
+  var allETy = $tm.indeces.allETy;
+  var violations = [];
+  
+  for(var id in allETy) {
+    
+    var type = allETy[id];
+    var limits = type.getCardinality();
+    
+    if(limits.min == null && limits.max == null) continue;
+    
+    var count = Object.keys(this._getOutgoingEdgesOfType(tRef, type)).length;
+    
+    if(limits.max != null && count > limits.max) {
+      violations.push({
+        type: type, count: count, reason: "max", limit: limits.max
+      });
+    }
+    
+    if(limits.min != null && count < limits.min
+       && type.getDomain().length && type.isValidSource(tRef)) {
+      violations.push({
+        type: type, count: count, reason: "min", limit: limits.min
+      });
+    }
+    
+  }
+  
+  return violations;
+  
+};
+
 /**
  * Private function to handle the insertion or deletion of an edge.
  * It prepares the process arcoding to the action type and delegates
@@ -122,24 +593,45 @@ Adapter.prototype._processEdge = function(edge, action) {
   
   if(namespace === "tw-list") {
     if(!edge.to) return;
-    return this._processListEdge(tObj, edge, type, action);
+    var result = this._processListEdge(tObj, edge, type, action);
 
   } else if(namespace === "tw-field") {
     if(!edge.to) return;
-    return this._processFieldEdge(tObj, edge, type, action);
+    var result = this._processFieldEdge(tObj, edge, type, action);
     
   } else if(namespace === "tw-body") {
     return null; // cannot delete links
     
   } else { // edge has no special meaning
-    return this._processTmapEdge(tObj, edge, type, action);
+    var result = this._processTmapEdge(tObj, edge, type, action);
     
   }
+  
+  this._reindex(fromTRef);
 
-  return edge;
+  return result;
       
 };
 
+/**
+ * Updates the adjacency index for a tiddler the adapter changed.
+ * The caretaker would only do this in the next refresh cycle;
+ * however, the edges may be queried before that. Inside a
+ * transaction, the update is deferred until the index is accessed.
+ * 
+ * @private
+ * @param {TiddlerReference} tRef - The changed tiddler.
+ */
+Adapter.prototype._reindex = function(tRef) {
+  
+  if(this._transaction) {
+    this._transaction.unindexed[tRef] = true;
+  } else {
+    this.updateAdjacencyIndex([ tRef ]);
+  }
+  
+};
+
 /**
  * This method handles insertion or deletion of tiddlymap edges that
  * are stored as json using a tiddlymap structure.
@@ -166,7 +658,9 @@ Adapter.prototype._processTmapEdge = function(tiddler, edge, type, action) {
     // assign new id if not present yet
     edge.id = edge.id || utils.genUUID();
     // add to connections object
-    connections[edge.id] = { to: edge.to, type: type.id };
+    var connection = connections[edge.id] = { to: edge.to, type: type.id };
+    // persist metadata
+    $tw.utils.extend(connection, utils.getEdgeData(edge));
     // if type is not know, create it
     if(!type.exists()) {
       type.save();
@@ -281,8 +775,21 @@ Adapter.prototype.getAdjacencyList = function(groupBy, opts) {
   opts = opts || {};
   
   if(!opts.edges) {
-    var tRefs = utils.getMatches($tm.selector.allPotentialNodes);
-    opts.edges = this.getEdgesForSet(tRefs, opts.toWL, opts.typeWL);
+    
+    var outByT = this.getAdjacencyIndex().outByT;
+    var tById = $tm.indeces.tById;
+    var toWL = opts.toWL;
+    var typeWL = opts.typeWL;
+    
+    opts.edges = utils.makeHashMap();
+    for(var tRef in outByT) {
+      for(var id in outByT[tRef]) {
+        var edge = outByT[tRef][id];
+        if((!toWL || toWL[tById[edge.to]]) && (!typeWL || typeWL[edge.type])) {
+          opts.edges[id] = utils.merge({}, edge);
+        }
+      }
+    }
   }
   
   var adjList = utils.groupByProperty(opts.edges, groupBy || "to");
@@ -305,9 +812,6 @@ Adapter.prototype.getAdjacencyList = function(groupBy, opts) {
  * @param {Hashmap} [opts] - An optional options object.
  * @param {Hashmap} [opts.typeWL] - A whitelist lookup-table
  *    that restricts which edges are travelled to reach a neighbour.
- * @param {Hashmap} [opts.edges] - An initial set of edges that is
- *    used in the first step to reach immediate neighbours, if no
- *    set of edges is specified, all exsisting edges will be considered.
  * @param {number} [opts.steps] - An integer value that specifies
  *    the scope of the neighbourhood. A node is considered a neighbour
  *    if it can be reached within the given number of steps starting
@@ -321,110 +825,684 @@ Adapter.prototype.getAdjacencyList = function(groupBy, opts) {
  *     }
  * @return {Object} An object of the form:
  *     {
- *       nodes: { *all neighbouring nodes* },
- *       edges: { *all edges connected to neighbours* },
+ *       nodes: { *all neighbouring nodes* },
+ *       edges: { *all edges connected to neighbours* },
+ *     }
+ */
+Adapter.prototype.getNeighbours = function(matches, opts) {
+  
+  $tm.start("Get neighbours");
+  
+  opts = opts || {};
+    
+  // index of all tiddlers have already are been visited, either by
+  // having been included in the original set, or by having been
+  // recorded as neighbour during the discovery.
+  var visited = utils.getArrayValuesAsHashmapKeys(matches); 
+  var view = new ViewAbstraction(opts.view);
+  var protoNode = opts.addProperties;
+  var allEdgesLeadingToNeighbours = utils.makeHashMap();
+  var allNeighbours = utils.makeHashMap();
+  var tById = $tm.indeces.tById;
+  var maxSteps = (parseInt(opts.steps) > 0 ? opts.steps : 1);
+  var direction = (opts.direction
+                   || (view.exists()
+                       && view.getConfig("neighbourhood_directions")));
+  
+  var addAsNeighbour = function(edge, role) {
+    allEdgesLeadingToNeighbours[edge.id] = edge;
+    var tRef = tById[edge[role]];
+    if(!visited[tRef]) {
+      visited[tRef] = true;
+      var node = this.makeNode(tRef, protoNode);
+      if(node) { // saveguard against obsolete edges or other problems  
+        // record node
+        allNeighbours[node.id] = node;
+        neighboursOfThisStep.push(tRef);              
+      }
+    }
+  }.bind(this);
+
+  // loop if still steps to be taken and we have a non-empty starting set
+  for(var step = 0; step < maxSteps && matches.length; step++) {
+        
+    // neighbours that are discovered in the current step;
+    // starting off from the current set of matches;
+    var neighboursOfThisStep = []; 
+    
+    // loop over all nodes in the original set
+    for(var i = matches.length; i--;) {
+      this._walkEdges(matches[i], direction, opts, addAsNeighbour);
+    }
+    
+    // the current set of newly discovered neighbours forms the
+    // starting point for the next discovery
+    matches = neighboursOfThisStep;
+    
+  }
+  
+  var neighbourhood = {
+    nodes: allNeighbours,
+    edges: allEdgesLeadingToNeighbours
+  };
+  
+  $tm.logger("debug", "Retrieved neighbourhood", neighbourhood, "steps", step);
+  
+  $tm.stop("Get neighbours");
+  
+  return neighbourhood;
+  
+};
+
+/**
+ * Calls `callback` for every edge attached to a tiddler that may be
+ * travelled in the given direction. Whether an edge is travelled
+ * depends on the arrows of its type, e.g. an outgoing edge of a
+ * type with an inverted arrow is treated as incoming edge.
+ * 
+ * Edges are looked up in the adjacency index, so the costs only
+ * depend on the degree of the tiddler and not on the size of the
+ * wiki. The callback receives copies of the indexed edges.
+ * 
+ * @private
+ * 
+ * @param {TiddlerReference} tRef - The tiddler whose edges to walk.
+ * @param {("in"|"out"|"both")} [direction="both"] - The direction
+ *     in which edges are travelled.
+ * @param {Hashmap} [opts] - An optional options object.
+ * @param {Hashmap<TiddlerReference, boolean>} [opts.toWL] - If
+ *     specified, only edges that lead to a neighbour contained in
+ *     this whitelist are travelled.
+ * @param {Hashmap<string, boolean>} [opts.typeWL] - If specified,
+ *     only edges of a type contained in this whitelist are travelled.
+ * @param {function} callback - A function with the signature
+ *     function(edge, role) where role denotes the end of the edge
+ *     ("from" or "to") at which the neighbour resides.
+ */
+Adapter.prototype._walkEdges = function(tRef, direction, opts, callback) {
+  
+  if(utils.isSystemOrDraft(tRef)) {
+    // = this might happen if the user manually created edges
+    // that link to a system/draft tiddler or if the original
+    // set contained system/draft tiddlers.
+    return;
+  }
+  
+  opts = opts || {};
+  
+  var index = this.getAdjacencyIndex();
+  var allETy = $tm.indeces.allETy;
+  var tById = $tm.indeces.tById;
+  var toWL = opts.toWL;
+  var typeWL = opts.typeWL;
+  var isWalkBoth = (!direction || direction === "both");
+  var isWalkIn = (isWalkBoth || direction === "in");
+  var isWalkOut = (isWalkBoth || direction === "out");
+  
+  var walk = function(edges, role, isAlong, isAgainst) {
+    for(var id in edges) {
+      var edge = edges[id];
+      var t = allETy[edge.type];
+      if((!typeWL || typeWL[edge.type])
+         && (!toWL || toWL[tById[edge[role]]])
+         && t && (isWalkBoth || isAlong && t.toArrow
+                                || isAgainst && t.invertedArrow)) {
+        callback(utils.merge({}, edge), role);
+      }
+    }
+  };
+              
+  // outgoing edges = edges that are stored in the tiddler itself
+  walk(index.outByT[tRef], "to", isWalkOut, isWalkIn);
+  
+  // incoming edges = edges stored elsewhere pointing to the tiddler
+  walk(index.inById[$tm.indeces.idByT[tRef]], "from", isWalkIn, isWalkOut);
+  
+};
+
+/**
+ * Returns the adjacency index, which holds all edges of the wiki
+ * twice: once grouped by the tiddler they are stored in and once
+ * grouped by the id of the node they point to. The index is built
+ * on first access and afterwards kept up to date by the caretaker
+ * via {@link Adapter#updateAdjacencyIndex}.
+ * 
+ * References that cannot be resolved yet (a link to a missing
+ * tiddler or a tmap edge to an unknown id) are recorded as pending,
+ * so the referring tiddler can be re-indexed as soon as the target
+ * appears, without scanning the wiki.
+ * 
+ * ATTENTION: Never modify the returned edges, use copies instead!
+ * 
+ * @return {Object} An object of the form:
+ *     {
+ *       outByT: { *tiddler -> outgoing edges (by id)* },
+ *       inById: { *node id -> incoming edges (by id)* },
+ *       idByT: { *tiddler -> id it was indexed with* },
+ *       tById: { *id -> tiddler it was indexed with* },
+ *       pendingByT: { *missing tiddler -> referrers* },
+ *       pendingById: { *unknown id -> referrers* },
+ *       pendingOfT: { *referrer -> its pending titles and ids* },
+ *       filterSources: { *tiddlers with tw-filter edges* },
+ *       isFilterStale: *whether filter edges need to be re-evaluated*
+ *     }
+ */
+Adapter.prototype.getAdjacencyIndex = function() {
+  
+  var indeces = $tm.indeces;
+  
+  if(!indeces.adjacency) {
+    
+    $tm.start("Building adjacency index");
+    
+    indeces.adjacency = {
+      outByT: utils.makeHashMap(),
+      inById: utils.makeHashMap(),
+      idByT: utils.makeHashMap(),
+      tById: utils.makeHashMap(),
+      pendingByT: utils.makeHashMap(),
+      pendingById: utils.makeHashMap(),
+      pendingOfT: utils.makeHashMap(),
+      filterSources: utils.makeHashMap(),
+      isFilterStale: false
+    };
+    
+    this._indexEdges(this.getAllPotentialNodes());
+    
+    $tm.stop("Building adjacency index");
+    
+  }
+  
+  var index = indeces.adjacency;
+  
+  // catch up on the edges modified in the current transaction
+  var tx = this._transaction;
+  if(tx && utils.hasElements(tx.unindexed)) {
+    var tRefs = Object.keys(tx.unindexed);
+    tx.unindexed = utils.makeHashMap();
+    this.updateAdjacencyIndex(tRefs);
+  }
+  
+  if(index.isFilterStale) {
+    index.isFilterStale = false;
+    this._indexEdges(Object.keys(index.filterSources));
+  }
+  
+  return index;
+  
+};
+
+/**
+ * Re-indexes the edges stored in the given tiddlers. If a tiddler
+ * has been created, deleted or got a new id, the tiddlers that
+ * refer to it are re-indexed as well. These are found via the
+ * index itself: the incoming edges of the tiddler's previous id
+ * and the references pending on its title or new id. The costs
+ * therefore only depend on the degree of the changed tiddlers.
+ * 
+ * Since filter edges may depend on any tiddler, tiddlers holding
+ * filter edges are re-evaluated the next time the index is accessed.
+ * 
+ * Does nothing as long as the index has not been built.
+ * 
+ * @param {Array<TiddlerReference>} tRefs - The tiddlers that changed.
+ */
+Adapter.prototype.updateAdjacencyIndex = function(tRefs) {
+  
+  var index = $tm.indeces.adjacency;
+  if(!index) return;
+  
+  if(utils.hasElements(index.filterSources)) {
+    index.isFilterStale = true;
+  }
+  
+  // the wiki is already up to date at this point, so every tiddler
+  // needs to be indexed only once
+  var isIndexed = utils.makeHashMap();
+  
+  while(tRefs.length) {
+    for(var i = tRefs.length; i--;) {
+      isIndexed[tRefs[i]] = true;
+    }
+    tRefs = this._indexEdges(tRefs).filter(function(tRef) {
+      return !isIndexed[tRef];
+    });
+  }
+  
+};
+
+/**
+ * Re-indexes the edges of the given edge types, which is necessary
+ * after a type changed since edges carry the label and style of
+ * their type. Subtypes inherit these, so their edges are re-indexed
+ * as well. For magic edge types, all tiddlers holding a field of
+ * the type's name are re-indexed, since the type decides whether
+ * the field holds edges at all.
+ * 
+ * Does nothing as long as the index has not been built.
+ * 
+ * @param {Array<string>} typeIds - The ids of the changed types.
+ */
+Adapter.prototype.updateAdjacencyIndexForTypes = function(typeIds) {
+  
+  var index = $tm.indeces.adjacency;
+  if(!index) return;
+  
+  var isMagic = utils.getLookupTable($tm.misc.magicETyNamespaces);
+  var typeWL = utils.makeHashMap();
+  var fieldNames = [];
+  
+  for(var i = typeIds.length; i--;) {
+    var type = new EdgeType(typeIds[i]);
+    $tw.utils.extend(typeWL, type.getSubtypeWhitelist());
+    if(isMagic[type.namespace]) fieldNames.push(type.name);
+  }
+  
+  var tRefs = utils.makeHashMap();
+  
+  for(var tRef in index.outByT) {
+    var edges = index.outByT[tRef];
+    for(var id in edges) {
+      if(typeWL[edges[id].type]) {
+        tRefs[tRef] = true;
+        break;
+      }
+    }
+  }
+  
+  if(fieldNames.length) {
+    $tw.wiki.each(function(tObj, tRef) {
+      for(var i = fieldNames.length; i--;) {
+        if(tObj.fields[fieldNames[i]] != null) tRefs[tRef] = true;
+      }
+    });
+  }
+  
+  this.updateAdjacencyIndex(Object.keys(tRefs));
+  
+};
+
+/**
+ * Replaces the indexed edges of the given tiddlers with the edges
+ * they currently hold.
+ * 
+ * @private
+ * @param {Array<TiddlerReference>} tRefs - The tiddlers to index.
+ * @return {Array<TiddlerReference>} The tiddlers whose edges are
+ *     affected because one of the given tiddlers has become or
+ *     ceased to be a node or changed its id.
+ */
+Adapter.prototype._indexEdges = function(tRefs) {
+  
+  var index = $tm.indeces.adjacency;
+  var outByT = index.outByT;
+  var inById = index.inById;
+  var filterFields = this._getFilterEdgeFieldNames();
+  var affected = utils.makeHashMap();
+  
+  var addAffected = function(referrers) {
+    for(var tRef in referrers) affected[tRef] = true;
+  };
+  
+  for(var i = tRefs.length; i--;) {
+    
+    var tRef = tRefs[i];
+    var tObj = utils.getTiddler(tRef);
+    var isNode = !!tObj && !utils.isSystemOrDraft(tObj);
+    var wasNode = !!outByT[tRef];
+    var oldId = index.idByT[tRef];
+    var newId = (isNode ? tObj.fields["tmap.id"] : undefined);
+    
+    this._unindexEdges(tRef);
+    
+    if(oldId && oldId !== newId) {
+      // edges pointing to the old id lost their target
+      for(var id in inById[oldId]) {
+        var referrer = index.tById[inById[oldId][id].from];
+        if(referrer) affected[referrer] = true;
+      }
+      delete index.idByT[tRef];
+      if(index.tById[oldId] === tRef) delete index.tById[oldId];
+    }
+    
+    if(!isNode) continue;
+    
+    if(!wasNode || oldId !== newId) {
+      // references waiting for this tiddler can now be resolved
+      addAffected(index.pendingByT[tRef]);
+      if(newId) addAffected(index.pendingById[newId]);
+    }
+    
+    if(newId) {
+      index.idByT[tRef] = newId;
+      index.tById[newId] = tRef;
+    }
+    
+    var edges = outByT[tRef] = (this.getEdges(tObj) || utils.makeHashMap());
+    for(var id in edges) {
+      var toId = edges[id].to;
+      (inById[toId] = inById[toId] || utils.makeHashMap())[id] = edges[id];
+    }
+    
+    this._addPendingRefs(tObj);
+    
+    for(var j = filterFields.length; j--;) {
+      if(tObj.fields[filterFields[j]]) {
+        index.filterSources[tRef] = true;
+        break;
+      }
+    }
+    
+  }
+  
+  return Object.keys(affected);
+  
+};
+
+/**
+ * Removes the edges and pending references of a tiddler from the
+ * index.
+ * 
+ * @private
+ * @param {TiddlerReference} tRef - The tiddler.
+ */
+Adapter.prototype._unindexEdges = function(tRef) {
+  
+  var index = $tm.indeces.adjacency;
+  var outByT = index.outByT;
+  
+  for(var id in outByT[tRef]) {
+    var inEdges = index.inById[outByT[tRef][id].to];
+    if(inEdges) delete inEdges[id];
+  }
+  delete outByT[tRef];
+  delete index.filterSources[tRef];
+  
+  var pending = index.pendingOfT[tRef];
+  if(!pending) return;
+  
+  var remove = function(map, keys) {
+    for(var i = keys.length; i--;) {
+      if(!map[keys[i]]) continue;
+      delete map[keys[i]][tRef];
+      if(!utils.hasElements(map[keys[i]])) delete map[keys[i]];
+    }
+  };
+  
+  remove(index.pendingByT, pending.titles);
+  remove(index.pendingById, pending.ids);
+  delete index.pendingOfT[tRef];
+  
+};
+
+/**
+ * Records the references of a tiddler that do not lead to an edge
+ * (yet), i.e. links, transclusions, list and field values naming a
+ * tiddler that doesn't exist or has no id, and tmap edges pointing
+ * to an unknown id. Filter edges are re-evaluated anyway and are
+ * therefore ignored.
+ * 
+ * @private
+ * @param {$tw.Tiddler} tObj - The indexed tiddler.
+ */
+Adapter.prototype._addPendingRefs = function(tObj) {
+  
+  var index = $tm.indeces.adjacency;
+  var tRef = tObj.fields.title;
+  var wiki = $tw.wiki;
+  var idByT = $tm.indeces.idByT;
+  var tById = $tm.indeces.tById;
+  var maETyFiNa = $tm.indeces.maETyFiNa;
+  
+  var titles = wiki.getTiddlerLinks(tRef);
+  if(this.isTransTypeEnabled) {
+    titles = titles.concat(wiki.getTiddlerTranscludes(tRef));
+  }
+  
+  for(var f in maETyFiNa) {
+    var value = tObj.fields[f];
+    if(value == null) continue;
+    var namespace = maETyFiNa[f].namespace;
+    if(namespace === "tw-field") {
+      titles.push(value);
+    } else if(namespace === "tw-list") {
+      titles = titles.concat($tw.utils.isArray(value)
+                             ? value
+                             : $tw.utils.parseStringArray(value));
+    }
+  }
+  
+  var pending = { titles: [], ids: [] };
+  
+  for(var i = titles.length; i--;) {
+    var title = titles[i];
+    if(!title) continue;
+    if(wiki.tiddlerExists(title)
+       && (idByT[title] || utils.isSystemOrDraft(title))) continue;
+    pending.titles.push(title);
+    (index.pendingByT[title] = (index.pendingByT[title]
+                                || utils.makeHashMap()))[tRef] = true;
+  }
+  
+  var connections = utils.parseFieldData(tObj, "tmap.edges") || {};
+  for(var conId in connections) {
+    var toId = connections[conId].to;
+    // ATTENTION: ids of deleted tiddlers are kept in the index
+    if(!toId || (tById[toId] && wiki.tiddlerExists(tById[toId]))) continue;
+    pending.ids.push(toId);
+    (index.pendingById[toId] = (index.pendingById[toId]
+                                || utils.makeHashMap()))[tRef] = true;
+  }
+  
+  if(pending.titles.length || pending.ids.length) {
+    index.pendingOfT[tRef] = pending;
+  }
+  
+};
+
+/**
+ * @private
+ * @return {Array<string>} The names of all fields that hold edges
+ *     of the tw-filter namespace.
+ */
+Adapter.prototype._getFilterEdgeFieldNames = function() {
+  
+  var maETyFiNa = $tm.indeces.maETyFiNa;
+  var names = [];
+  
+  for(var f in maETyFiNa) {
+    if(maETyFiNa[f].namespace === "tw-filter") names.push(f);
+  }
+  
+  return names;
+  
+};
+
+/**
+ * Searches for a shortest route between two tiddlers using a
+ * breadth-first search. Edges are travelled according to the same
+ * rules that apply to {@link Adapter#getNeighbours}, i.e. the
+ * direction is interpreted in the light of the edge type's arrows.
+ * 
+ * @param {TiddlerReference} from - The tiddler to start from.
+ * @param {TiddlerReference} to - The tiddler to reach.
+ * @param {Hashmap} [opts] - An optional options object.
+ * @param {Hashmap} [opts.typeWL] - A whitelist lookup-table
+ *    that restricts which edges may be travelled.
+ * @param {Hashmap} [opts.toWL] - A whitelist lookup-table that
+ *    restricts which tiddlers may be visited on the way.
+ * @param {("in"|"out"|"both")} [opts.direction] - The direction
+ *    in which edges are travelled. If not specified, the direction
+ *    configured for the view's neighbourhood is used, otherwise both.
+ * @param {string|ViewAbstraction} [opts.view] - A view.
+ * @return {{nodes: Array<TiddlerReference>, edges: Array<Edge>}|null}
+ *     The tiddlers and edges that make up the route (in order) or
+ *     null if no route exists.
+ */
+Adapter.prototype.getShortestPath = function(from, to, opts) {
+  
+  opts = opts || {};
+  
+  if(!utils.tiddlerExists(from) || !utils.tiddlerExists(to)) {
+    return null;
+  }
+  
+  if(from === to) {
+    return { nodes: [ from ], edges: [] };
+  }
+  
+  $tm.start("Get shortest path");
+  
+  var view = new ViewAbstraction(opts.view);
+  var tById = $tm.indeces.tById;
+  var direction = (opts.direction
+                   || (view.exists()
+                       && view.getConfig("neighbourhood_directions")));
+  
+  // for each visited tiddler, the edge through which it was reached
+  var reachedVia = utils.makeHashMap();
+  reachedVia[from] = null;
+  
+  var queue = [ from ];
+  var isFound = false;
+  
+  var visit = function(edge, role) {
+    var tRef = tById[edge[role]];
+    if(tRef && !(tRef in reachedVia)) {
+      reachedVia[tRef] = edge;
+      queue.push(tRef);
+      isFound = isFound || (tRef === to);
+    }
+  };
+  
+  // note: the queue is read via an index instead of shift() which
+  // would be expensive on large arrays
+  for(var i = 0; i < queue.length && !isFound; i++) {
+    this._walkEdges(queue[i], direction, opts, visit);
+  }
+  
+  var path = null;
+  
+  if(isFound) {
+    
+    path = { nodes: [ to ], edges: [] };
+    var idByT = $tm.indeces.idByT;
+    
+    // walk back from the destination to the start
+    for(var tRef = to; tRef !== from;) {
+      var edge = reachedVia[tRef];
+      tRef = tById[edge.from === idByT[tRef] ? edge.to : edge.from];
+      path.edges.unshift(edge);
+      path.nodes.unshift(tRef);
+    }
+    
+  }
+  
+  $tm.logger("debug", "Retrieved shortest path", path);
+  
+  $tm.stop("Get shortest path");
+  
+  return path;
+  
+};
+
+/**
+ * Partitions a set of tiddlers into connected components, i.e.
+ * islands of tiddlers that are connected with each other but not
+ * with any tiddler of another island. The direction of edges is
+ * ignored.
+ * 
+ * @param {Hashmap} [opts] - An optional options object.
+ * @param {Array<TiddlerReference>} [opts.nodes] - The tiddlers to
+ *     partition. Defaults to all potential nodes.
+ * @param {Hashmap<Id, Edge>} [opts.edges] - The edges to consider.
+ *     If not specified, all edges between the tiddlers are used.
+ * @param {Hashmap} [opts.typeWL] - A whitelist lookup-table
+ *    that restricts which edges are considered.
+ * @return {Object} An object of the form:
+ *     {
+ *       components: [ *Arrays of tiddlers, largest island first* ],
+ *       orphans: [ *tiddlers that have no edges at all* ],
+ *       byTRef: { *tiddler -> index of its component* }
  *     }
  */
-Adapter.prototype.getNeighbours = function(matches, opts) {
+Adapter.prototype.getComponents = function(opts) {
   
-  $tm.start("Get neighbours");
+  $tm.start("Get components");
   
   opts = opts || {};
-    
-  // index of all tiddlers have already are been visited, either by
-  // having been included in the original set, or by having been
-  // recorded as neighbour during the discovery.
-  var visited = utils.getArrayValuesAsHashmapKeys(matches); 
-  var view = new ViewAbstraction(opts.view);
-  var protoNode = opts.addProperties;
-  var allEdgesLeadingToNeighbours = utils.makeHashMap();
-  var allETy = $tm.indeces.allETy;
-  var allNeighbours = utils.makeHashMap();
-  var toWL = opts.toWL;
-  var typeWL = opts.typeWL;
+  
+  var tRefs = opts.nodes || this.getAllPotentialNodes();
+  var edges = opts.edges;
   var tById = $tm.indeces.tById;
-  var idByT = $tm.indeces.idByT;
-  var maxSteps = (parseInt(opts.steps) > 0 ? opts.steps : 1);
-  var direction = (opts.direction
-                   || (view.exists()
-                       && view.getConfig("neighbourhood_directions")));
-  var isWalkBoth = (!direction || direction === "both");
-  var isWalkIn = (isWalkBoth || direction === "in");
-  var isWalkOut = (isWalkBoth || direction === "out");
   
-  // adjacency receives whitelists through opts
-  var adjList = this.getAdjacencyList("to", opts);
+  if(!edges) {
+    var toWL = utils.getArrayValuesAsHashmapKeys(tRefs);
+    edges = this.getEdgesForSet(tRefs, toWL, opts.typeWL);
+  }
   
-  var addAsNeighbour = function(edge, role) {
-    allEdgesLeadingToNeighbours[edge.id] = edge;
-    var tRef = tById[edge[role]];
-    if(!visited[tRef]) {
-      visited[tRef] = true;
-      var node = this.makeNode(tRef, protoNode);
-      if(node) { // saveguard against obsolete edges or other problems  
-        // record node
-        allNeighbours[node.id] = node;
-        neighboursOfThisStep.push(tRef);              
-      }
+  // undirected adjacency list
+  var adjList = utils.makeHashMap();
+  for(var i = tRefs.length; i--;) {
+    adjList[tRefs[i]] = [];
+  }
+  
+  for(var id in edges) {
+    var edge = edges[id];
+    var from = tById[edge.from];
+    var to = tById[edge.to];
+    if(adjList[from] && adjList[to]
+       && (!opts.typeWL || opts.typeWL[edge.type])) {
+      adjList[from].push(to);
+      adjList[to].push(from);
     }
-  }.bind(this);
-
-  // loop if still steps to be taken and we have a non-empty starting set
-  for(var step = 0; step < maxSteps && matches.length; step++) {
-        
-    // neighbours that are discovered in the current step;
-    // starting off from the current set of matches;
-    var neighboursOfThisStep = []; 
+  }
+  
+  var components = [];
+  var orphans = [];
+  var visited = utils.makeHashMap();
+  
+  for(var i = 0, l = tRefs.length; i < l; i++) {
     
-    // loop over all nodes in the original set
-    for(var i = matches.length; i--;) {
-      
-      if(utils.isSystemOrDraft(matches[i])) {
-        // = this might happen if the user manually created edges
-        // that link to a system/draft tiddler or if the original
-        // set contained system/draft tiddlers.
-        continue;
-      }
-              
-      // get all outgoing edges
-      // = edges originating from the starting set and point outwards
-      var outgoing = this.getEdges(matches[i], toWL, typeWL);
-      for(var id in outgoing) {
-        var t = allETy[outgoing[id].type];
-        if(isWalkBoth || isWalkOut && t.toArrow || isWalkIn && t.invertedArrow) {
-          addAsNeighbour(outgoing[id], "to");
-        }
-      }
-      
-      // get all incoming edges
-      // = edges originating from outside pointing to the starting set
-      var incoming = adjList[idByT[matches[i]]];
-      if(!incoming) continue;
-      
-      for(var j = incoming.length; j--;) {
-        var t = allETy[incoming[j].type];
-        if(isWalkBoth || isWalkIn && t.toArrow || isWalkOut && t.invertedArrow) {
-          addAsNeighbour(incoming[j], "from");
+    if(visited[tRefs[i]]) continue;
+    
+    if(!adjList[tRefs[i]].length) {
+      orphans.push(tRefs[i]);
+    }
+    
+    // breadth-first search to collect the island
+    visited[tRefs[i]] = true;
+    var component = [ tRefs[i] ];
+    for(var j = 0; j < component.length; j++) {
+      var adjacent = adjList[component[j]];
+      for(var k = adjacent.length; k--;) {
+        if(!visited[adjacent[k]]) {
+          visited[adjacent[k]] = true;
+          component.push(adjacent[k]);
         }
       }
     }
     
-    // the current set of newly discovered neighbours forms the
-    // starting point for the next discovery
-    matches = neighboursOfThisStep;
+    components.push(component);
     
   }
   
-  var neighbourhood = {
-    nodes: allNeighbours,
-    edges: allEdgesLeadingToNeighbours
-  };
+  components.sort(function(a, b) { return b.length - a.length; });
   
-  $tm.logger("debug", "Retrieved neighbourhood", neighbourhood, "steps", step);
+  var byTRef = utils.makeHashMap();
+  for(var i = components.length; i--;) {
+    for(var j = components[i].length; j--;) {
+      byTRef[components[i][j]] = i;
+    }
+  }
   
-  $tm.stop("Get neighbours");
+  $tm.stop("Get components");
   
-  return neighbourhood;
+  return {
+    components: components,
+    orphans: orphans,
+    byTRef: byTRef
+  };
   
 };
 
@@ -501,9 +1579,18 @@ Adapter.prototype.getGraph = function(opts) {
   // this is pure maintainance!
   this._removeObsoleteViewData(graph.nodes, view);
   
+  // record the island each node belongs to; only needed (and only
+  // computed) when the view colours its components
+  if(view.exists() && view.isEnabled("colour_components")) {
+    this.attachComponentsToNodes(graph);
+  }
+  
   // add styles to nodes
   this.attachStylesToNodes(graph.nodes, view);
   
+  // add styles to edges
+  this.attachStylesToEdges(graph.edges, view);
+  
   $tm.stop("Assembling Graph");
   
   $tm.logger("debug", "Assembled graph:", graph);
@@ -682,7 +1769,7 @@ Adapter.prototype._addTmapEdges = function(edges, tObj, toWL, typeWL) {
     var con = connections[conId];
     var toTRef = tById[con.to];
     if(toTRef && (!toWL || toWL[toTRef]) && (!typeWL || typeWL[con.type])) {
-      var edge = this.makeEdge(fromId, con.to, con.type, conId);
+      var edge = this.makeEdge(fromId, con.to, con.type, conId, con);
       if(edge) {
         edges[conId] = edge;
       }
@@ -719,6 +1806,52 @@ Adapter.prototype.selectEdgesByType = function(type) {
   
 };
 
+/**
+ * Checks all existing edges against the constraints of their types
+ * and returns the edges that violate them.
+ * 
+ * A violation has one of the following reasons:
+ * - "domain": the source node is not allowed by the edge type.
+ * - "range": the target node is not allowed by the edge type.
+ * 
+ * @return {Array<Object>} A list of violations, each consisting
+ *     of the `edge`, its `type` and the `reason`.
+ */
+Adapter.prototype.getEdgeConstraintViolations = function() {
+
+  var edges = this.getEdgesForSet(this.getAllPotentialNodes());
+  var tById = $tm.indeces.tById;
+  var types = utils.makeHashMap();
+  var isConstrained = utils.makeHashMap();
+  var violations = [];
+  
+  for(var id in edges) {
+    
+    var edge = edges[id];
+    var type = types[edge.type];
+    
+    if(!type) {
+      type = types[edge.type] = new EdgeType(edge.type);
+      isConstrained[edge.type] = !!(type.getDomain().length
+                                    || type.getRange().length);
+    }
+    
+    if(!isConstrained[edge.type]) continue;
+    
+    if(!type.isValidSource(tById[edge.from])) {
+      violations.push({ edge: edge, type: type, reason: "domain" });
+    }
+    
+    if(!type.isValidTarget(tById[edge.to])) {
+      violations.push({ edge: edge, type: type, reason: "range" });
+    }
+    
+  }
+  
+  return violations;
+
+};
+
 Adapter.prototype.getAllPotentialNodes = function() {
   
   return utils.getMatches($tm.selector.allPotentialNodes);
@@ -747,16 +1880,18 @@ Adapter.prototype._processEdgesWithType = function(type, task) {
       
   }
   
-  for(var id in edges) {
-    this._processEdge(edges[id], "delete");
-    if(task.action === "rename") {
-      edges[id].type = task.newName;
-      this._processEdge(edges[id], "insert");
+  this.transaction(function() {
+    for(var id in edges) {
+      this._processEdge(edges[id], "delete");
+      if(task.action === "rename") {
+        edges[id].type = task.newName;
+        this._processEdge(edges[id], "insert");
+      }
     }
-  }
+  });
   
   // finally remove the old type
-  $tw.wiki.deleteTiddler(type.fullPath);
+  utils.removeTiddler(type.fullPath);
 
 };
 
@@ -846,18 +1981,44 @@ Adapter.prototype.selectNodeById = function(id, options) {
   
 };
 
+/**
+ * Retrieves a single edge.
+ * 
+ * @param {Id} id - The id of the edge.
+ * @param {Id} [from] - The id of the node the edge is stored in.
+ *     If not specified, all edges have to be searched.
+ * @return {Edge|undefined} A copy of the edge or nothing.
+ */
+Adapter.prototype.selectEdgeById = function(id, from) {
+  
+  var outByT = this.getAdjacencyIndex().outByT;
+  
+  if(from) {
+    var edges = outByT[$tm.indeces.tById[from]];
+    return (edges && edges[id] ? utils.merge({}, edges[id]) : undefined);
+  }
+  
+  for(var tRef in outByT) {
+    if(outByT[tRef][id]) return utils.merge({}, outByT[tRef][id]);
+  }
+  
+};
+
 /**
  * Sets up an edge object that is ready to be consumed by vis.
  * 
  * @param {$tw.Tiddler|Id} from - A tiddler **object** or a node id
  *     representing the from part of the relationship.
- * @param {Object} connection - The connection object having
- *     the properties *to*, *id*, *type*.
- * @param {string|EdgeType} [type] - An optional edge type that
- *     overrides the type possibly specified by the connection object.
+ * @param {Id} to - The node id representing the to part.
+ * @param {string|EdgeType} [type] - The type of the edge.
+ * @param {Id} [id] - The edge id; a new one is generated if omitted.
+ * @param {Object} [data] - An object (e.g. a stored connection)
+ *     holding metadata of the edge. All properties that are not
+ *     reserved (see {@link utils.getEdgeData}) are copied to the
+ *     edge. A `customLabel` replaces the type's label.
  * @return {Edge} An edge object.
  */
-Adapter.prototype.makeEdge = function(from, to, type, id) {
+Adapter.prototype.makeEdge = function(from, to, type, id, data) {
   
   if(!from || !to) return;
   
@@ -877,11 +2038,17 @@ Adapter.prototype.makeEdge = function(from, to, type, id) {
     type: type.id
   };
     
-  if(utils.isTrue(type["show-label"], true)) {
+  if(data) {
+    $tw.utils.extend(edge, utils.getEdgeData(data));
+  }
+    
+  if(edge.customLabel) {
+    edge.label = edge.customLabel;
+  } else if(type.isLabelShown()) {
     edge.label = label;
   }
 
-  edge = $tw.utils.extend(edge, type.style);
+  edge = $tw.utils.extend(edge, type.getStyle());
   
   return edge;
   
@@ -891,7 +2058,7 @@ Adapter.prototype.removeNodeType = function(type) {
   
   // finally remove the old type
   var type = new NodeType(type);
-  $tw.wiki.deleteTiddler(type.fullPath);
+  utils.removeTiddler(type.fullPath);
   
 };
 
@@ -917,6 +2084,29 @@ Adapter.prototype.makeNode = function(tiddler, protoNode) {
   
 };
 
+/**
+ * Adds a `component` property to each node of the graph that holds
+ * the index of the connected component (see
+ * {@link Adapter#getComponents}) the node belongs to within the
+ * graph. The largest component has the index 0.
+ * 
+ * @param {{nodes: Hashmap<Id, Node>, edges: Hashmap<Id, Edge>}} graph
+ *     The graph whose nodes to process.
+ */
+Adapter.prototype.attachComponentsToNodes = function(graph) {
+  
+  var byTRef = this.getComponents({
+    nodes: this.getTiddlersById(graph.nodes),
+    edges: graph.edges
+  }).byTRef;
+  
+  var tById = $tm.indeces.tById;
+  for(var id in graph.nodes) {
+    graph.nodes[id].component = byTRef[tById[id]];
+  }
+  
+};
+
 Adapter.prototype.getInheritedNodeStyles = function(nodes) {
   
   var src = this.getTiddlersById(nodes);
@@ -962,8 +2152,181 @@ Adapter.prototype.getInheritedNodeStyles = function(nodes) {
   
 };
 
+/**
+ * Returns the rules that are used to style edges conditionally.
+ * The rules are stored as json array in the text of the tiddler
+ * referenced by `$tm.ref.edgeStyleRules`. Each rule is an object
+ * with a vis `style` that is applied to all edges that satisfy
+ * each of the rule's (optional) conditions:
+ * 
+ * - `type`: The id of the edge's type or of one of its ancestors.
+ * - `fromType`: The id of a node type whose scope the from-node
+ *   needs to match.
+ * - `toType`: Same as `fromType` but for the to-node.
+ * - `data`: An object whose properties denote edge metadata fields
+ *   (see {@link utils.getEdgeData}). A value of "*" requires the
+ *   field to be set; a value prefixed with an operator (<, <=, >, >=)
+ *   is compared numerically; any other value needs to equal the
+ *   field value.
+ * 
+ * Example: `[{ "data": { "confidence": "<0.5" }, "style": { "dashes": true } }]`
+ * 
+ * @return {Array<Object>} The rules; rules without style are omitted.
+ */
+Adapter.prototype.getEdgeStyleRules = function() {
+  
+  var rules = utils.parseFieldData($tm.ref.edgeStyleRules, "text", []);
+  var result = [];
+  
+  if(!Array.isArray(rules)) return result;
+  
+  for(var i = 0, l = rules.length; i < l; i++) {
+    if(rules[i] && typeof rules[i].style === "object") {
+      result.push(rules[i]);
+    }
+  }
+  
+  return result;
+  
+};
+
+/**
+ * Adds styles to edges. Analogous to the node styles, the styles are
+ * applied in layers, each layer overriding the previous one:
+ * 
+ * 1. The global style of the edge's type (already added when
+ *    the edge is made, see {@link Adapter#makeEdge}).
+ * 2. The styles of all matching edge style rules in the order
+ *    they are defined (see {@link Adapter#getEdgeStyleRules}).
+ * 3. The local style of the edge that is stored in the view.
+ * 
+ * @param {EdgeCollection} edges - The edges to style.
+ * @param {ViewAbstraction|string} [view] - The view whose local edge
+ *     styles to apply.
+ */
 Adapter.prototype.attachStylesToEdges = function(edges, view) {
-  // TODO
+  
+  view = new ViewAbstraction(view);
+  
+  var viewEdgeData = view.exists() ? view.getEdgeData() : utils.makeHashMap();
+  var rules = this.getEdgeStyleRules();
+  var inheritors = this._getEdgeStyleRuleInheritors(rules, edges);
+  
+  for(var id in edges) {
+    var edge = edges[id];
+    
+    // == rule styles ==
+    
+    for(var i = 0, l = rules.length; i < l; i++) {
+      if(this._isEdgeStyleRuleMatch(rules[i], edge, inheritors)) {
+        utils.merge(edge, rules[i].style);
+      }
+    }
+    
+    // == local edge styles ==
+    
+    if(viewEdgeData[id]) {
+      utils.merge(edge, viewEdgeData[id]);
+    }
+  }
+  
+};
+
+/**
+ * For each node type that is referenced by an edge style rule,
+ * this function determines which of the nodes attached to the
+ * edges match the node type's scope.
+ * 
+ * @private
+ * @param {Array<Object>} rules - The edge style rules.
+ * @param {EdgeCollection} edges - The edges.
+ * @return {Hashmap<string, Hashmap<TiddlerReference, boolean>>}
+ *     The matching nodes per node type id.
+ */
+Adapter.prototype._getEdgeStyleRuleInheritors = function(rules, edges) {
+  
+  var inheritors = utils.makeHashMap();
+  var tById = $tm.indeces.tById;
+  var src = null;
+  
+  for(var i = rules.length; i--;) {
+    var typeIds = [ rules[i].fromType, rules[i].toType ];
+    for(var j = typeIds.length; j--;) {
+      var typeId = typeIds[j];
+      if(!typeId || inheritors[typeId]) continue;
+      
+      if(!src) { // lazily collect the tiddlers at both ends
+        var isAdded = utils.makeHashMap();
+        for(var id in edges) {
+          isAdded[tById[edges[id].from]] = true;
+          isAdded[tById[edges[id].to]] = true;
+        }
+        src = Object.keys(isAdded);
+      }
+      
+      var type = new NodeType(typeId);
+      inheritors[typeId] = utils.getArrayValuesAsHashmapKeys(
+        type.exists() ? type.getInheritors(src) : []
+      );
+    }
+  }
+  
+  return inheritors;
+  
+};
+
+/**
+ * @private
+ * @param {Object} rule - An edge style rule.
+ * @param {Edge} edge - The edge to test.
+ * @param {Hashmap} inheritors - The result of
+ *     {@link Adapter#_getEdgeStyleRuleInheritors}.
+ * @return {boolean} True if the edge satisfies all conditions of
+ *     the rule.
+ */
+Adapter.prototype._isEdgeStyleRuleMatch = function(rule, edge, inheritors) {
+  
+  var tById = $tm.indeces.tById;
+  var type = $tm.indeces.allETy[edge.type] || new EdgeType(edge.type);
+  
+  // subtypes of the rule's type are matched as well
+  if(rule.type && !type.isA(new EdgeType(rule.type).id)) return false;
+  
+  if(rule.fromType && !inheritors[rule.fromType][tById[edge.from]]) {
+    return false;
+  }
+  
+  if(rule.toType && !inheritors[rule.toType][tById[edge.to]]) {
+    return false;
+  }
+  
+  for(var field in rule.data) {
+    
+    var expected = String(rule.data[field]);
+    var value = edge[field];
+    var isSet = (value != null && value !== "");
+    var match = expected.match(/^(<=|>=|<|>)\s*(-?[\d.]+)$/);
+    
+    if(expected === "*") {
+      if(!isSet) return false;
+      
+    } else if(match) {
+      var a = parseFloat(value);
+      var b = parseFloat(match[2]);
+      if(!isSet || isNaN(a)) return false;
+      if(match[1] === "<" && !(a < b)) return false;
+      if(match[1] === "<=" && !(a <= b)) return false;
+      if(match[1] === ">" && !(a > b)) return false;
+      if(match[1] === ">=" && !(a >= b)) return false;
+      
+    } else if(String(isSet ? value : "") !== expected) {
+      return false;
+      
+    }
+  }
+  
+  return true;
+  
 };
 
 
@@ -1005,6 +2368,9 @@ Adapter.prototype.attachStylesToNodes = function(nodes, view) {
 
   var viewNodeData = view.exists() ? view.getNodeData() : utils.makeHashMap();
   var isStaticMode = view.exists() && !view.isEnabled("physics_mode");
+  var isColourComponents = view.exists()
+                           && view.isEnabled("colour_components");
+  var componentColours = $tm.misc.componentColours;
 
   
   // shortcuts (for performance and readability)
@@ -1030,6 +2396,13 @@ Adapter.prototype.attachStylesToNodes = function(nodes, view) {
       faIcon = inheritedStyles[tRef]["fa-icon"];
       twIcon = inheritedStyles[tRef]["tw-icon"];
     }
+    
+    // == component styles ==
+    
+    // islands are distinguished by colour; overrules group styles
+    if(isColourComponents && node.component != null) {
+      node.color = componentColours[node.component % componentColours.length];
+    }
         
     // == global node styles ==
          
@@ -1106,8 +2479,10 @@ Adapter.prototype.attachStylesToNodes = function(nodes, view) {
  * @see: https://github.com/Jermolene/TiddlyWiki5/issues/1550
  * 
  * @param {NodeCollection} nodes - A collection of nodes.
+ * @param {Object} [options] - Passed on to {@link Adapter#deleteEdges}
+ *     when the connected edges are removed.
  */
-Adapter.prototype.deleteNode = function(node) {
+Adapter.prototype.deleteNode = function(node, options) {
 
   if(!node) return;
   
@@ -1121,6 +2496,8 @@ Adapter.prototype.deleteNode = function(node) {
     // checking for tRef is needed;
     // see: https://github.com/Jermolene/TiddlyWiki5/issues/1919
     utils.deleteTiddlers([ tRef ]);
+    // the outgoing edges are gone with the tiddler
+    this._reindex(tRef);
   }
     
   // delete local node-data in views containing the node
@@ -1137,7 +2514,7 @@ Adapter.prototype.deleteNode = function(node) {
   // remove obsolete connected edges
   
   var neighbours = this.getNeighbours([ tRef ]);
-  this.deleteEdges(neighbours.edges);
+  this.deleteEdges(neighbours.edges, options);
   
   // -------------------------------------------
   // NEVER DELETE AN INDEX THAT ALREADY EXISTED!
@@ -1156,12 +2533,18 @@ Adapter.prototype.deleteNode = function(node) {
   
 };
 
-Adapter.prototype.deleteNodes = function(nodes) {
+/**
+ * @param {NodeCollection} nodes - The nodes to be deleted.
+ * @param {Object} [options] - See {@link Adapter#deleteNode}.
+ */
+Adapter.prototype.deleteNodes = function(nodes, options) {
   
   nodes = utils.convert(nodes, "array");
-  for(var i = nodes.length; i--;) {
-    this.deleteNode(nodes[i]);
-  }
+  this.transaction(function() {
+    for(var i = nodes.length; i--;) {
+      this.deleteNode(nodes[i], options);
+    }
+  });
   
 };
   
@@ -1263,7 +2646,7 @@ Adapter.prototype.insertNode = function(node, view, options) {
     $tw.wiki.getCreationFields()
   );
    
-  $tw.wiki.addTiddler(tObj);
+  utils.storeTiddler(tObj);
   
   node = this.makeNode(tObj, node);
   
@@ -1276,6 +2659,152 @@ Adapter.prototype.insertNode = function(node, view, options) {
   
 };
 
+/**
+ * Creates the nodes and edges of a graph that has been read from an
+ * external format (see `formats`). An imported node is matched to an
+ * existing tiddler via its title or, if the graph states that its
+ * ids are TiddlyMap ids (`idsAreTmapIds`), via its id (`tmap.id`). How such a
+ * conflict is treated depends on `options.onConflict`. Missing
+ * edge-types are created, using the style of the first edge of that
+ * type. Edges are stored according to the namespace of their type
+ * (see {@link Adapter#insertEdge}). Edges whose nodes are already
+ * connected by an edge of the same type are skipped, so importing a
+ * graph twice doesn't duplicate its edges. Edges that would exceed the
+ * cardinality of their type are skipped and returned in the format
+ * of {@link Adapter#getEdgeConstraintViolations}, using the reason
+ * "cardinality". Everything is done in a single step that may be
+ * undone.
+ * 
+ * @param {ImportGraph} graph - The graph to import.
+ * @param {Object} [options]
+ * @param {string} [options.view] - A view to which the nodes are
+ *     added, using the positions of the imported nodes.
+ * @param {("merge"|"skip"|"rename")} [options.onConflict="merge"]
+ *     Whether to use the existing tiddler, to ignore the node and
+ *     its edges or to create a new tiddler with a different title.
+ * @return {{nodes: number, created: number, skipped: number,
+ *     edges: number, existing: number, violations: Array<Object>}}
+ *     The number of imported nodes, newly created tiddlers, skipped
+ *     nodes, imported edges and edges that already existed as well
+ *     as the edges skipped because of their cardinality.
+ */
+Adapter.prototype.importGraph = function(graph, options) {
+  
+  options = options || {};
+  
+  var view = new ViewAbstraction(options.view);
+  var onConflict = options.onConflict || "merge";
+  var stats = {
+    nodes: 0, created: 0, skipped: 0, edges: 0, existing: 0, violations: []
+  };
+  
+  this.transaction(function() {
+    
+    // maps the ids used in the import to the ids of the nodes
+    var idMap = utils.makeHashMap();
+    
+    for(var i = 0, l = graph.nodes.length; i < l; i++) {
+      
+      var n = graph.nodes[i];
+      var tRef = (graph.idsAreTmapIds ? $tm.indeces.tById[n.id] : null);
+      if(!tRef || !utils.tiddlerExists(tRef)) tRef = n.title;
+      if(!tRef) continue;
+      
+      if(utils.tiddlerExists(tRef)) {
+        if(onConflict === "skip") {
+          stats.skipped++;
+          continue;
+        } else if(onConflict === "rename") {
+          tRef = $tw.wiki.generateNewTitle(n.title || tRef);
+        }
+      }
+      
+      if(!utils.tiddlerExists(tRef)) {
+        utils.storeTiddler(new $tw.Tiddler(
+          { text: "" },
+          n.fields,
+          { title: tRef },
+          $tw.wiki.getModificationFields(),
+          $tw.wiki.getCreationFields()
+        ));
+        stats.created++;
+      }
+      
+      var node = this.makeNode(tRef);
+      if(!node) continue; // e.g. a system tiddler
+      
+      idMap[n.id] = node.id;
+      stats.nodes++;
+      
+      if(view.exists()) {
+        node.x = n.x;
+        node.y = n.y;
+        view.addNode(node);
+        // nodes that are already part of the view are moved, too
+        view.saveNodePosition(node);
+      }
+    }
+    
+    // determine the existing edges before any edge is inserted;
+    // otherwise, parallel edges of the import would be dropped
+    var isExisting = utils.makeHashMap();
+    
+    for(var i = 0, l = graph.edges.length; i < l; i++) {
+      
+      var e = graph.edges[i];
+      var from = idMap[e.from];
+      var to = idMap[e.to];
+      if(!from || !to) continue;
+      
+      var typeId = new EdgeType(e.type || "tmap:unknown").id;
+      var edges = this.getEdges($tm.indeces.tById[from]) || {};
+      for(var id in edges) {
+        if(edges[id].to === to && edges[id].type === typeId) {
+          isExisting[i] = true;
+          break;
+        }
+      }
+    }
+    
+    for(var i = 0, l = graph.edges.length; i < l; i++) {
+      
+      var e = graph.edges[i];
+      var from = idMap[e.from];
+      var to = idMap[e.to];
+      if(!from || !to) continue;
+      
+      if(isExisting[i]) {
+        stats.existing++;
+        continue;
+      }
+      
+      var type = new EdgeType(e.type || "tmap:unknown");
+      if(!type.exists()) {
+        if(e.style && Object.keys(e.style).length) type.style = e.style;
+        type.save();
+      }
+      
+      var edge = $tw.utils.extend({}, e.data, {
+        from: from,
+        to: to,
+        type: type.id
+      });
+      
+      if(this.insertEdge(edge, { onCardinalityViolation: "skip" })) {
+        stats.edges++;
+      } else if(this.getCardinalityConflicts(edge)) {
+        stats.violations.push({
+          edge: edge, type: type, reason: "cardinality"
+        });
+      }
+    }
+    
+  }, "Import graph");
+  
+  return stats;
+  
+};
+
 /**** Helper *******************************************************/
 
 Adapter.prototype._getFAdigits = function(str) {
@@ -0,0 +1,389 @@
+/*\
+
+title: $:/plugins/felixhayashi/tiddlymap/js/csvImporter
+type: application/javascript
+module-type: library
+
+@preserve
+
+\*/
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*** Exports *******************************************************/
+
+module.exports = {};
+
+/*** Imports *******************************************************/
+
+var utils =           require("$:/plugins/felixhayashi/tiddlymap/js/utils");
+var ViewAbstraction = require("$:/plugins/felixhayashi/tiddlymap/js/ViewAbstraction");
+var EdgeType =        require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
+
+/*** Code **********************************************************/
+
+var importer = module.exports;
+
+/**
+ * Splits a csv text into rows of cells. Cells may be quoted with
+ * double quotes, in which case they may contain delimiters, line
+ * breaks and escaped quotes (`""`). Commas, semicolons and tabs are
+ * accepted as delimiter; the one used is guessed from the first line.
+ *
+ * @param {string} text - The csv text.
+ * @return {Array<Array<string>>} The non-empty rows.
+ */
+importer.parse = function(text) {
+
+  text = (text || "").replace(/\r\n?/g, "\n");
+
+  var firstLine = text.split("\n")[0];
+  var delimiter = ",";
+  var maxCount = 0;
+  var candidates = [ ",", ";", "\t" ];
+  for(var i = 0; i < candidates.length; i++) {
+    var count = firstLine.split(candidates[i]).length;
+    if(count > maxCount) {
+      maxCount = count;
+      delimiter = candidates[i];
+    }
+  }
+
+  var rows = [];
+  var row = [];
+  var cell = "";
+  var isQuoted = false;
+
+  for(var i = 0, l = text.length; i <= l; i++) {
+
+    var c = text.charAt(i);
+
+    if(isQuoted) {
+      if(c === "\"" && text.charAt(i + 1) === "\"") {
+        cell += c;
+        i++;
+      } else if(c === "\"") {
+        isQuoted = false;
+      } else {
+        cell += c;
+      }
+    } else if(c === "\"") {
+      isQuoted = true;
+    } else if(c === delimiter) {
+      row.push(cell.trim());
+      cell = "";
+    } else if(c === "\n" || i === l) {
+      row.push(cell.trim());
+      cell = "";
+      if(row.length > 1 || row[0]) rows.push(row);
+      row = [];
+    } else {
+      cell += c;
+    }
+  }
+
+  return rows;
+
+};
+
+/**
+ * Reads an edge list and, optionally, a node list.
+ *
+ * The edge list consists of the columns `from`, `to` and `type`,
+ * followed by metadata columns of any name, except for names that
+ * are reserved by TiddlyMap or vis (see {@link utils.getEdgeData}).
+ * A header row is recognized by its `from` and `to` columns; without
+ * header, metadata columns are ignored. A missing type defaults to
+ * "tmap:unknown".
+ *
+ * The node list requires a header row with a `title` column. All
+ * other columns are treated as tiddler fields.
+ *
+ * @param {string} edgeText - The edge list as csv.
+ * @param {string} [nodeText] - The node list as csv.
+ * @return {CsvImport} The nodes and edges to import.
+ */
+importer.read = function(edgeText, nodeText) {
+
+  var result = {
+    nodes: [],
+    edges: [],
+    invalid: [],
+    duplicates: [],
+    ignoredColumns: []
+  };
+
+  // edges
+
+  var rows = importer.parse(edgeText);
+  var columns = [ "from", "to", "type" ];
+  if(rows.length && isHeader(rows[0], [ "from", "to" ])) {
+    columns = rows.shift().map(function(name) {
+      return name.toLowerCase();
+    });
+  }
+
+  var dataFields = $tm.misc.edgeDataFields;
+  var isReserved = utils.getArrayValuesAsHashmapKeys(
+                     $tm.misc.reservedEdgeProperties);
+  var isDataField = utils.makeHashMap();
+  for(var i = 0; i < columns.length; i++) {
+    var name = columns[i];
+    if(name === "from" || name === "to" || name === "type") continue;
+    // well-known edge metadata fields are camel cased
+    for(var j = dataFields.length; j--;) {
+      if(dataFields[j].toLowerCase() === name) columns[i] = dataFields[j];
+    }
+    if(!name || isReserved[columns[i]]) {
+      result.ignoredColumns.push(name);
+    } else {
+      isDataField[columns[i]] = true;
+    }
+  }
+
+  var isListed = utils.makeHashMap();
+  for(var i = 0; i < rows.length; i++) {
+
+    var edge = { data: {} };
+    for(var j = 0; j < columns.length; j++) {
+      var value = rows[i][j];
+      if(!value) continue;
+      if(columns[j] === "from" || columns[j] === "to"
+         || columns[j] === "type") {
+        edge[columns[j]] = value;
+      } else if(isDataField[columns[j]]) {
+        edge.data[columns[j]] = value;
+      }
+    }
+
+    if(!edge.from || !edge.to) {
+      result.invalid.push("Row " + (i + 1) + ": " + rows[i].join(", "));
+      continue;
+    }
+
+    edge.type = new EdgeType(edge.type || "tmap:unknown").id;
+
+    var key = JSON.stringify([ edge.from, edge.to, edge.type ]);
+    if(isListed[key]) {
+      result.duplicates.push(describe(edge) + " (listed twice)");
+      continue;
+    }
+
+    isListed[key] = true;
+    result.edges.push(edge);
+  }
+
+  // nodes
+
+  var rows = importer.parse(nodeText);
+  if(!rows.length) return result;
+
+  if(!isHeader(rows[0], [ "title" ])) {
+    result.invalid.push("Node list: a \"title\" column is required");
+    return result;
+  }
+
+  var columns = rows.shift();
+  var titleIndex = columns.map(function(name) {
+    return name.toLowerCase();
+  }).indexOf("title");
+
+  var nodesByTitle = utils.makeHashMap();
+  for(var i = 0; i < rows.length; i++) {
+
+    var title = rows[i][titleIndex];
+    if(!title) {
+      result.invalid.push("Node " + (i + 1) + ": " + rows[i].join(", "));
+      continue;
+    }
+
+    var node = nodesByTitle[title];
+    if(node) {
+      result.duplicates.push(title + " (listed twice)");
+    } else {
+      node = nodesByTitle[title] = { title: title, fields: {} };
+      result.nodes.push(node);
+    }
+
+    for(var j = 0; j < columns.length; j++) {
+      if(j !== titleIndex && columns[j] && rows[i][j]) {
+        node.fields[columns[j]] = rows[i][j];
+      }
+    }
+  }
+
+  return result;
+
+};
+
+/**
+ * Determines what will happen when the csv is imported.
+ *
+ * @param {CsvImport} csv - The result of {@link importer.read}.
+ * @return {Object} An object that lists the tiddlers that will be
+ *     created (`unknownTitles`), the edge-types that will be created
+ *     (`unknownTypes`) and the edges that are skipped because they
+ *     were listed twice or already exist (`duplicates`). The indices
+ *     of the existing edges are held by `isExisting`.
+ */
+importer.preview = function(csv) {
+
+  var preview = {
+    unknownTitles: [],
+    unknownTypes: [],
+    duplicates: csv.duplicates.slice(),
+    isExisting: utils.makeHashMap()
+  };
+
+  var isListed = utils.makeHashMap();
+  var isTypeListed = utils.makeHashMap();
+  var check = function(title) {
+    if(isListed[title] || utils.tiddlerExists(title)) return;
+    isListed[title] = true;
+    preview.unknownTitles.push(title);
+  };
+
+  for(var i = 0; i < csv.nodes.length; i++) {
+    check(csv.nodes[i].title);
+  }
+
+  var tById = $tm.indeces.tById;
+  for(var i = 0; i < csv.edges.length; i++) {
+
+    var edge = csv.edges[i];
+    check(edge.from);
+    check(edge.to);
+
+    if(!isTypeListed[edge.type] && !new EdgeType(edge.type).exists()) {
+      isTypeListed[edge.type] = true;
+      preview.unknownTypes.push(edge.type);
+    }
+
+    var edges = $tm.adapter.getEdges(edge.from) || {};
+    for(var id in edges) {
+      if(tById[edges[id].to] === edge.to && edges[id].type === edge.type) {
+        preview.isExisting[i] = true;
+        preview.duplicates.push(describe(edge) + " (already exists)");
+        break;
+      }
+    }
+  }
+
+  return preview;
+
+};
+
+/**
+ * Creates the nodes and edges. Tiddlers are created via
+ * {@link Adapter#insertNode}, the fields of existing tiddlers listed
+ * in the node list are updated. Edges that already exist are
+ * skipped. All changes are performed as a single step that may be
+ * undone.
+ *
+ * @param {CsvImport} csv - The result of {@link importer.read}.
+ * @param {ViewAbstraction|string} [view] - A view to add all
+ *     imported nodes to.
+ * @return {{created: number, updated: number, edges: number,
+ *     violations: Array<Object>}} The number of created tiddlers,
+ *     updated tiddlers and edges as well as the edges that were
+ *     skipped because they would exceed the cardinality of their type
+ *     (see {@link Adapter#importGraph}).
+ */
+importer.run = function(csv, view) {
+
+  var stats = { created: 0, updated: 0, edges: 0, violations: [] };
+  var adapter = $tm.adapter;
+
+  view = new ViewAbstraction(view);
+
+  adapter.transaction(function() {
+
+    var preview = importer.preview(csv);
+    var nodesByTitle = utils.makeHashMap();
+
+    var getNode = function(title, fields) {
+
+      var node = nodesByTitle[title];
+      if(node) return node;
+
+      if(utils.tiddlerExists(title)) {
+        if(fields) {
+          utils.storeTiddler(new $tw.Tiddler(
+            $tw.wiki.getTiddler(title),
+            fields,
+            $tw.wiki.getModificationFields()
+          ));
+          stats.updated++;
+        }
+        node = adapter.makeNode(title);
+        if(node && view.exists()) view.addNode(node);
+      } else {
+        node = adapter.insertNode({ label: title }, view, {
+          fields: fields
+        });
+        stats.created++;
+      }
+
+      return (nodesByTitle[title] = node);
+
+    };
+
+    for(var i = 0; i < csv.nodes.length; i++) {
+      getNode(csv.nodes[i].title, csv.nodes[i].fields);
+    }
+
+    for(var i = 0; i < csv.edges.length; i++) {
+
+      if(preview.isExisting[i]) continue;
+
+      var from = getNode(csv.edges[i].from);
+      var to = getNode(csv.edges[i].to);
+      if(!from || !to) continue; // e.g. a system tiddler
+
+      var edge = $tw.utils.extend({}, csv.edges[i].data, {
+        from: from.id,
+        to: to.id,
+        type: csv.edges[i].type
+      });
+
+      if(adapter.insertEdge(edge, { onCardinalityViolation: "skip" })) {
+        stats.edges++;
+      } else if(adapter.getCardinalityConflicts(edge)) {
+        stats.violations.push({
+          edge: edge,
+          type: new EdgeType(edge.type),
+          reason: "cardinality"
+        });
+      }
+    }
+
+  }, "Import csv");
+
+  return stats;
+
+};
+
+/**
+ * @private
+ */
+var isHeader = function(row, required) {
+
+  var names = row.map(function(name) { return name.toLowerCase(); });
+  for(var i = required.length; i--;) {
+    if(names.indexOf(required[i]) === -1) return false;
+  }
+
+  return true;
+
+};
+
+/**
+ * @private
+ */
+var describe = function(edge) {
+
+  return edge.from + " → " + edge.to + " (" + edge.type + ")";
+
+};
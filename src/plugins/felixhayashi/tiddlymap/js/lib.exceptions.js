@@ -29,6 +29,11 @@ exception.DependencyError = function(dep) {
   this.name = "DependencyError";
   this.message = "TiddlyMap cannot run without: " + dep;
 };
+
+exception.DryRun = function() {
+  this.name = "DryRun";
+  this.message = "Dry run finished, all changes are rolled back";
+};
   
 for(var ex in exception) {
   exception[ex].prototype = Object.create(Error.prototype);
@@ -22,6 +22,7 @@ var utils =           require("$:/plugins/felixhayashi/tiddlymap/js/utils");
 var Adapter =         require("$:/plugins/felixhayashi/tiddlymap/js/Adapter");
 var ViewAbstraction = require("$:/plugins/felixhayashi/tiddlymap/js/ViewAbstraction");
 var EdgeType =        require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
+var exception =       require("$:/plugins/felixhayashi/tiddlymap/js/exception");
 
 /*** Code **********************************************************/
 
@@ -46,29 +47,12 @@ var moveEdges = function(path, view) {
     }
   
     // finally remove the store
-    $tw.wiki.deleteTiddler(matches[i]);
+    utils.removeTiddler(matches[i]);
     
   }
 
 };
 
-var executeUpgrade = function(toVersion, curVersion, upgrade) {
-  
-  if(!utils.isLeftVersionGreater(toVersion, curVersion)) return;
-  // = current data structure version is newer than version we
-  // want to upgrade to.
-    
-  // issue debug message
-  $tm.logger("debug",  "Upgrading data structure to " + toVersion);      
-  // execute fix
-  var msg = upgrade();
-  // update meta
-  utils.setEntry($tm.ref.sysMeta, "dataStructureState", toVersion);
-  
-  return msg;
-  
-};
-
 var fixer = module.exports;
 
 /**
@@ -97,12 +81,143 @@ fixer.fixId = function() {
   
 };
 
-fixer.fix = function() {
+/**
+ * While a migration plan is made, this object collects the upgrade
+ * steps and the tiddlers touched by each step (see `makePlan`). In
+ * probe mode, the steps are only collected but not executed.
+ */
+var planRecorder = null;
+
+var executeUpgrade = function(toVersion, curVersion, upgrade) {
   
-  var meta = $tw.wiki.getTiddlerData($tm.ref.sysMeta, {});
+  if(!utils.isLeftVersionGreater(toVersion, curVersion)) return;
+  // = current data structure version is newer than version we
+  // want to upgrade to.
+    
+  if(planRecorder && planRecorder.isProbe) {
+    planRecorder.steps.push({ version: toVersion });
+    return;
+  }
   
-  $tm.logger("debug", "Fixer is started");
-  $tm.logger("debug", "Data-structure currently in use: ", meta.dataStructureState);
+  // issue debug message
+  $tm.logger("debug",  "Upgrading data structure to " + toVersion);      
+  
+  var journal = planRecorder && planRecorder.journal;
+  var touchedBefore = utils.getLookupTable(journal
+                                           ? Object.keys(journal)
+                                           : []);
+  
+  // execute fix
+  var msg = upgrade();
+  // update meta
+  utils.setEntry($tm.ref.sysMeta, "dataStructureState", toVersion);
+  
+  if(journal) {
+    var touched = [];
+    for(var tRef in journal) {
+      if(!touchedBefore[tRef]) touched.push(tRef);
+    }
+    planRecorder.steps.push({ version: toVersion, tiddlers: touched });
+  }
+  
+  return msg;
+  
+};
+
+/**
+ * Performs all upgrades in a dry run to find out which tiddlers each
+ * upgrade step touches. The upgrades are executed inside an adapter
+ * transaction that is rolled back afterwards so the wiki remains
+ * untouched.
+ * 
+ * @param {Object} meta - The meta data before the upgrade.
+ * @return {Object} The plan, consisting of the `steps` to execute
+ *     and the state (`before`) of all tiddlers that will be touched.
+ */
+var makePlan = function(meta) {
+  
+  var plan = { steps: [], before: null };
+  
+  // find out cheaply whether a dry run is needed at all
+  planRecorder = { isProbe: true, steps: [] };
+  upgrade(meta);
+  var isPending = (planRecorder.steps.length > 0);
+  planRecorder = null;
+  
+  if(!isPending) return plan;
+  
+  try {
+    
+    $tm.adapter.transaction(function() {
+      
+      planRecorder = {
+        journal: this._transaction.journal,
+        steps: plan.steps
+      };
+      upgrade(meta);
+      plan.before = $tw.utils.extend({}, this._transaction.journal);
+      
+      throw new exception.DryRun();
+      
+    });
+    
+  } catch(e) {
+    
+    if(!(e instanceof exception.DryRun)) throw e;
+    
+  } finally {
+    
+    planRecorder = null;
+    
+  }
+  
+  return plan;
+  
+};
+
+/**
+ * Stores the state of all tiddlers that are touched by the upgrade
+ * in a single bundle tiddler so they can be restored later on (see
+ * `fixer.restoreBackup`).
+ * 
+ * The meta tiddler is not included; otherwise the upgrade would
+ * be executed again after restoring the backup.
+ * 
+ * @param {Object} plan - The plan returned by `makePlan`.
+ * @param {Object} meta - The meta data before the upgrade.
+ */
+var saveBackup = function(plan, meta) {
+  
+  var tiddlers = {};
+  for(var tRef in plan.before) {
+    if(tRef === $tm.ref.sysMeta) continue;
+    var tObj = plan.before[tRef];
+    // null denotes a tiddler that is created by the upgrade
+    tiddlers[tRef] = (tObj ? tObj.getFieldStrings() : null);
+  }
+  
+  if(!Object.keys(tiddlers).length) return;
+  
+  var lastStep = plan.steps[plan.steps.length - 1];
+  
+  utils.storeTiddler(new $tw.Tiddler({
+    title: $tm.ref.upgradeBackup,
+    type: "application/json",
+    "from-version": meta.dataStructureState || "",
+    "to-version": lastStep.version,
+    "count": "" + Object.keys(tiddlers).length,
+    text: JSON.stringify({ plan: plan.steps, tiddlers: tiddlers }, null, 2)
+  }, $tw.wiki.getModificationFields()));
+  
+};
+
+/**
+ * Executes the upgrade steps whose version is above the data
+ * structure version found in the meta data.
+ * 
+ * @param {Object} meta - The meta data before the upgrade.
+ */
+var upgrade = function(meta) {
   
   /**
    * Changes:
@@ -166,7 +281,7 @@ fixer.fix = function() {
       type.save();
                       
       delete userConf.groups;
-      $tw.wiki.setTiddlerData(confRef, userConf);
+      utils.writeFieldData(confRef, "text", userConf);
                   
     }
      
@@ -200,7 +315,7 @@ fixer.fix = function() {
     
     var liveTab = $tm.ref.liveTab;
     if(utils.getTiddler(liveTab).hasTag("$:/tags/SideBar")) {
-      $tw.wiki.deleteTiddler(liveTab);
+      utils.removeTiddler(liveTab);
       utils.setField(liveTab, "tags", "$:/tags/SideBar");
     }
     
@@ -257,3 +372,62 @@ fixer.fix = function() {
   });
                 
 };
+
+/**
+ * Upgrades the data structure of older wikis.
+ * 
+ * Before any changes are applied, a migration plan is made that
+ * lists the tiddlers each upgrade step touches. These tiddlers are
+ * backed up in `$tm.ref.upgradeBackup`.
+ */
+fixer.fix = function() {
+  
+  var meta = $tw.wiki.getTiddlerData($tm.ref.sysMeta, {});
+  
+  $tm.logger("debug", "Fixer is started");
+  $tm.logger("debug", "Data-structure currently in use: ", meta.dataStructureState);
+  
+  var plan = makePlan(meta);
+  if(!plan.steps.length) return;
+  
+  for(var i = 0; i < plan.steps.length; i++) {
+    $tm.logger("debug", "Upgrade to", plan.steps[i].version,
+               "touches", plan.steps[i].tiddlers);
+  }
+  
+  saveBackup(plan, meta);
+  
+  upgrade(meta);
+  
+};
+
+/**
+ * Restores the tiddlers that were backed up before the last upgrade.
+ * Tiddlers that were created by the upgrade are deleted. The restore
+ * is performed as a step that may be undone.
+ * 
+ * @return {number} The number of restored tiddlers or -1 if no
+ *     backup exists.
+ */
+fixer.restoreBackup = function() {
+  
+  var backup = $tw.wiki.getTiddlerData($tm.ref.upgradeBackup);
+  if(!backup || !backup.tiddlers) return -1;
+  
+  var tiddlers = backup.tiddlers;
+  
+  $tm.adapter.transaction(function() {
+    
+    for(var tRef in tiddlers) {
+      if(tiddlers[tRef]) {
+        utils.storeTiddler(new $tw.Tiddler(tiddlers[tRef]));
+      } else if($tw.wiki.tiddlerExists(tRef)) {
+        utils.removeTiddler(tRef);
+      }
+    }
+    
+  }, "Restore upgrade backup");
+  
+  return Object.keys(tiddlers).length;
+  
+};
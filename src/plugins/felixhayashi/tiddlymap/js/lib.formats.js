@@ -0,0 +1,1650 @@
+/*\
+
+title: $:/plugins/felixhayashi/tiddlymap/js/formats
+type: application/javascript
+module-type: library
+
+@preserve
+
+\*/
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*** Exports *******************************************************/
+
+module.exports = {};
+
+/*** Imports *******************************************************/
+
+var utils =           require("$:/plugins/felixhayashi/tiddlymap/js/utils");
+var ViewAbstraction = require("$:/plugins/felixhayashi/tiddlymap/js/ViewAbstraction");
+var EdgeType =        require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
+
+/*** Code **********************************************************/
+
+var formats = module.exports;
+
+/**
+ * Collects the data of a view's graph in a form that is independent
+ * of vis and therefore easy to serialize.
+ *
+ * Nodes carry their tiddler `title`, their `label`, the ids of the
+ * node-types they inherit (`types`), their vis `style` (`color` and
+ * `shape`) and, if stored in the view, their position (`x`, `y`).
+ * Edges carry their `type`, the type's `label`, the `arrow`
+ * direction ("to", "from" or "bi"), their vis `style` (`color`,
+ * `dashes` and `width`) and the edge metadata (see
+ * {@link utils.getEdgeData}) in a `data` object.
+ *
+ * @param {ViewAbstraction|string} [view] - The view to export. If
+ *     no view is specified, all tiddlers of the wiki are exported.
+ * @return {{nodes: Array<Object>, edges: Array<Object>}} The graph.
+ */
+formats.getExportGraph = function(view) {
+
+  view = new ViewAbstraction(view);
+
+  var allPotentialNodes = $tm.selector.allPotentialNodes;
+  var graph = $tm.adapter.getGraph(view.exists()
+                                   ? { view: view }
+                                   : { filter: allPotentialNodes });
+  var tById = $tm.indeces.tById;
+  var allETy = $tm.indeces.allETy;
+  var typesByTRef = getNodeTypes(graph.nodes);
+
+  var nodes = [];
+  for(var id in graph.nodes) {
+    var node = graph.nodes[id];
+    var tRef = tById[id];
+    nodes.push({
+      id: id,
+      title: tRef,
+      label: node.label,
+      types: typesByTRef[tRef] || [],
+      x: node.x,
+      y: node.y,
+      style: { color: node.color, shape: node.shape }
+    });
+  }
+
+  var edges = [];
+  for(var id in graph.edges) {
+
+    var edge = graph.edges[id];
+
+    // only edges between exported nodes are of interest
+    if(!graph.nodes[edge.from] || !graph.nodes[edge.to]) continue;
+
+    var type = allETy[edge.type] || new EdgeType(edge.type);
+
+    edges.push({
+      id: id,
+      from: edge.from,
+      to: edge.to,
+      type: type.id,
+      label: type.getLabel(),
+      arrow: (type.biArrow ? "bi" : type.invertedArrow ? "from" : "to"),
+      style: { color: edge.color, dashes: edge.dashes, width: edge.width },
+      data: utils.getEdgeData(edge)
+    });
+  }
+
+  return { nodes: nodes, edges: edges };
+
+};
+
+/**
+ * The JSON format as produced by {@link Adapter#getGraph}. Nodes
+ * additionally carry the `title` of their tiddler.
+ */
+formats.json = {
+
+  label: "JSON",
+  extension: "json",
+
+  serialize: function(view) {
+
+    var graph = $tm.adapter.getGraph({ view: view });
+    var tById = $tm.indeces.tById;
+
+    for(var id in graph.nodes) {
+      graph.nodes[id].title = tById[id];
+    }
+
+    graph.nodes = utils.convert(graph.nodes, "array");
+    graph.edges = utils.convert(graph.edges, "array");
+
+    return JSON.stringify(graph, null, 2);
+
+  },
+
+  /**
+   * Reads a graph that has been exported as JSON. Nodes without
+   * `title` (older exports) fall back to their label. Since the node
+   * ids of an export are TiddlyMap ids, the graph is flagged with
+   * `idsAreTmapIds`.
+   *
+   * @param {string} text - The JSON.
+   * @return {ImportGraph} The graph.
+   * @throws {SyntaxError} If the text is no exported graph.
+   */
+  parse: function(text) {
+
+    var graph = JSON.parse(text);
+    if(!graph || !$tw.utils.isArray(graph.nodes)) {
+      throw new SyntaxError("JSON: expected a list of nodes");
+    }
+
+    var nodes = [];
+    var edges = [];
+
+    for(var i = 0; i < graph.nodes.length; i++) {
+      var node = graph.nodes[i];
+      if(!node || node.id == null) continue;
+      nodes.push({
+        id: node.id,
+        title: node.title || node.label,
+        x: node.x,
+        y: node.y
+      });
+    }
+
+    var graphEdges = graph.edges || [];
+    for(var i = 0; i < graphEdges.length; i++) {
+
+      var edge = graphEdges[i];
+      if(!edge || edge.from == null || edge.to == null) continue;
+
+      edges.push({
+        from: edge.from,
+        to: edge.to,
+        type: edge.type || "tmap:unknown",
+        data: utils.getEdgeData(edge)
+      });
+    }
+
+    return { nodes: nodes, edges: edges, idsAreTmapIds: true };
+
+  }
+};
+
+/**
+ * GraphML, as read by yEd, Gephi, Cytoscape and others.
+ *
+ * @see http://graphml.graphdrawing.org/
+ */
+formats.graphml = {
+
+  label: "GraphML",
+  extension: "graphml",
+
+  serialize: function(view) {
+
+    var graph = formats.getExportGraph(view);
+    var dataFields = getDataFields(graph);
+    var fieldKeys = getDataFieldKeys(dataFields);
+
+    var keys = [
+      key("title", "node", "string"),
+      key("label", "node", "string"),
+      key("types", "node", "string"),
+      key("x", "node", "double"),
+      key("y", "node", "double"),
+      key("type", "edge", "string"),
+      key("label", "edge", "string", "edgeLabel")
+    ];
+    for(var i = 0; i < dataFields.length; i++) {
+      keys.push(key(dataFields[i], "edge", "string",
+                    fieldKeys[dataFields[i]]));
+    }
+
+    var out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+      '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+      '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns',
+      '    http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+    ].concat(keys);
+
+    out.push('  <graph id="' + xml(new ViewAbstraction(view).getLabel())
+             + '" edgedefault="directed">');
+
+    for(var i = 0; i < graph.nodes.length; i++) {
+      var node = graph.nodes[i];
+      out.push('    <node id="' + xml(node.id) + '">');
+      out.push(data("title", node.title));
+      out.push(data("label", node.label));
+      out.push(data("types", node.types.join(" ")));
+      out.push(data("x", node.x));
+      out.push(data("y", node.y));
+      out.push('    </node>');
+    }
+
+    for(var i = 0; i < graph.edges.length; i++) {
+      var edge = graph.edges[i];
+      out.push('    <edge id="' + xml(edge.id) + '"'
+               + ' source="' + xml(edge.from) + '"'
+               + ' target="' + xml(edge.to) + '">');
+      out.push(data("type", edge.type));
+      out.push(data("edgeLabel", edge.label));
+      for(var field in edge.data) {
+        out.push(data(fieldKeys[field], edge.data[field]));
+      }
+      out.push('    </edge>');
+    }
+
+    out.push('  </graph>', '</graphml>');
+
+    return out.filter(Boolean).join("\n");
+
+  }
+};
+
+/**
+ * GEXF, the native format of Gephi.
+ *
+ * @see https://gephi.org/gexf/format/
+ */
+formats.gexf = {
+
+  label: "GEXF",
+  extension: "gexf",
+
+  serialize: function(view) {
+
+    var graph = formats.getExportGraph(view);
+    var dataFields = getDataFields(graph);
+    var fieldKeys = getDataFieldKeys(dataFields);
+
+    var out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://www.gexf.net/1.2draft"',
+      '    xmlns:viz="http://www.gexf.net/1.2draft/viz" version="1.2">',
+      '  <meta>',
+      '    <creator>TiddlyMap</creator>',
+      '    <description>' + xml(new ViewAbstraction(view).getLabel())
+                          + '</description>',
+      '  </meta>',
+      '  <graph defaultedgetype="directed" mode="static">',
+      '    <attributes class="node">',
+      '      <attribute id="title" title="title" type="string"/>',
+      '      <attribute id="types" title="types" type="string"/>',
+      '    </attributes>',
+      '    <attributes class="edge">',
+      '      <attribute id="type" title="type" type="string"/>'
+    ];
+    for(var i = 0; i < dataFields.length; i++) {
+      out.push('      <attribute id="' + fieldKeys[dataFields[i]]
+               + '" title="' + xml(dataFields[i]) + '" type="string"/>');
+    }
+    out.push('    </attributes>');
+
+    out.push('    <nodes>');
+    for(var i = 0; i < graph.nodes.length; i++) {
+      var node = graph.nodes[i];
+      out.push('      <node id="' + xml(node.id) + '" label="'
+               + xml(node.label) + '">');
+      out.push('        <attvalues>');
+      out.push(attvalue("title", node.title));
+      out.push(attvalue("types", node.types.join(" ")));
+      out.push('        </attvalues>');
+      if(node.x != null && node.y != null) {
+        out.push('        <viz:position x="' + node.x + '" y="'
+                 + (-node.y) + '" z="0.0"/>');
+      }
+      out.push('      </node>');
+    }
+    out.push('    </nodes>');
+
+    out.push('    <edges>');
+    for(var i = 0; i < graph.edges.length; i++) {
+      var edge = graph.edges[i];
+      out.push('      <edge id="' + xml(edge.id) + '"'
+               + ' source="' + xml(edge.from) + '"'
+               + ' target="' + xml(edge.to) + '"'
+               + ' label="' + xml(edge.data.customLabel || edge.label)
+               + '">');
+      out.push('        <attvalues>');
+      out.push(attvalue("type", edge.type));
+      for(var field in edge.data) {
+        out.push(attvalue(fieldKeys[field], edge.data[field]));
+      }
+      out.push('        </attvalues>');
+      out.push('      </edge>');
+    }
+    out.push('    </edges>');
+
+    out.push('  </graph>', '</gexf>');
+
+    return out.filter(Boolean).join("\n");
+
+  }
+};
+
+/**
+ * Graphviz DOT.
+ *
+ * Nodes are identified by their tiddler titles, edges are labeled
+ * with the label of their type. The type id and the edge metadata
+ * are written into `tmap_`-prefixed attributes that Graphviz
+ * ignores; they allow the graph to be imported again without loss.
+ *
+ * @see http://www.graphviz.org/content/dot-language
+ */
+formats.dot = {
+
+  label: "DOT",
+  extension: "dot",
+
+  serialize: function(view) {
+
+    var graph = formats.getExportGraph(view);
+    var titleById = utils.makeHashMap();
+
+    var label = new ViewAbstraction(view).getLabel();
+    var out = [ "digraph " + dotId(label) + " {" ];
+
+    for(var i = 0; i < graph.nodes.length; i++) {
+
+      var node = graph.nodes[i];
+      var attrs = {};
+      var color = node.style.color;
+
+      titleById[node.id] = node.title;
+
+      if(node.label !== node.title) {
+        attrs.label = node.label;
+        attrs.tmap_title = node.title;
+      }
+
+      if(color) {
+        attrs.style = "filled";
+        attrs.fillcolor = (typeof color === "object"
+                           ? color.background
+                           : color);
+        if(typeof color === "object" && color.border) {
+          attrs.color = color.border;
+        }
+      }
+
+      if(dotShapes[node.style.shape]) {
+        attrs.shape = dotShapes[node.style.shape];
+      }
+
+      // dot's y-axis points upwards
+      if(node.x != null && node.y != null) {
+        attrs.pos = node.x + "," + (-node.y) + "!";
+      }
+
+      out.push("  " + dotId(node.title) + dotAttrs(attrs) + ";");
+
+    }
+
+    for(var i = 0; i < graph.edges.length; i++) {
+
+      var edge = graph.edges[i];
+      var style = edge.style;
+      var attrs = {
+        label: edge.data.customLabel || edge.label,
+        tmap_type: edge.type
+      };
+
+      if(style.color) {
+        attrs.color = (typeof style.color === "object"
+                       ? style.color.color
+                       : style.color);
+      }
+      if(style.dashes) attrs.style = "dashed";
+      if(style.width) attrs.penwidth = style.width;
+      if(edge.arrow !== "to") {
+        attrs.dir = (edge.arrow === "bi" ? "both" : "back");
+      }
+
+      for(var field in edge.data) {
+        attrs["tmap_" + field] = edge.data[field];
+      }
+
+      out.push("  " + dotId(titleById[edge.from]) + " -> "
+               + dotId(titleById[edge.to]) + dotAttrs(attrs) + ";");
+
+    }
+
+    out.push("}");
+
+    return out.join("\n");
+
+  },
+
+  /**
+   * Parses the first graph found in a DOT text. Subgraphs are
+   * flattened and default attributes (`node [...]`, `edge [...]`)
+   * are applied. Ports are ignored.
+   *
+   * A node's title is taken from its `tmap_title` or `label`
+   * attribute and falls back to the node id. An edge's type is
+   * taken from its `tmap_type` or `label` attribute.
+   *
+   * @param {string} text - The DOT source.
+   * @return {ImportGraph} The graph.
+   * @throws {SyntaxError} If the text cannot be parsed.
+   */
+  parse: function(text) {
+
+    var parser = new DotParser(text);
+    var graph = parser.parseGraph();
+
+    var nodes = [];
+    for(var id in graph.nodes) {
+      var attrs = graph.nodes[id];
+      var fields = {};
+      if(attrs.fillcolor || attrs.color) {
+        fields.color = attrs.fillcolor || attrs.color;
+      }
+      nodes.push({
+        id: id,
+        title: attrs.tmap_title || attrs.label || id,
+        fields: fields
+      });
+    }
+
+    var edges = [];
+    for(var i = 0; i < graph.edges.length; i++) {
+      var edge = graph.edges[i];
+      var attrs = edge.attrs;
+      var data = {};
+      for(var name in attrs) {
+        if(name !== "tmap_type" && utils.startsWith(name, "tmap_")) {
+          data[name.substr(5)] = attrs[name];
+        }
+      }
+      data = utils.getEdgeData(data);
+      var style = {};
+      if(attrs.color) style.color = attrs.color;
+      if(attrs.style === "dashed") style.dashes = true;
+      if(attrs.penwidth && !isNaN(attrs.penwidth)) {
+        style.width = parseFloat(attrs.penwidth);
+      }
+      edges.push({
+        from: edge.from,
+        to: edge.to,
+        type: attrs.tmap_type || attrs.label || "tmap:unknown",
+        style: style,
+        data: data
+      });
+    }
+
+    return { nodes: nodes, edges: edges };
+
+  }
+};
+
+/**
+ * Mermaid flowchart text (`graph LR`), e.g. to paste a map into a
+ * README or an issue tracker. Node and edge-type filters of the
+ * view are respected; edges are labeled with the label of their
+ * type.
+ */
+formats.mermaid = {
+
+  label: "Mermaid",
+  extension: "mmd",
+
+  serialize: function(view) {
+
+    var graph = formats.getExportGraph(view);
+
+    // mermaid ids must be simple words, so we enumerate the nodes
+    var mIdById = utils.makeHashMap();
+    var out = [ "graph LR" ];
+    var styles = [];
+
+    for(var i = 0; i < graph.nodes.length; i++) {
+
+      var node = graph.nodes[i];
+      var mId = mIdById[node.id] = "n" + i;
+      var brackets = mermaidShapes[node.style.shape] || mermaidShapes.box;
+      var color = node.style.color;
+      if(typeof color === "object") color = color.background;
+
+      out.push("  " + mId + brackets[0] + mermaidText(node.label)
+               + brackets[1]);
+
+      // commas would break the style statement, e.g. in rgb(…)
+      if(color && !/,/.test(color)) {
+        styles.push("  style " + mId + " fill:" + color);
+      }
+    }
+
+    for(var i = 0; i < graph.edges.length; i++) {
+
+      var edge = graph.edges[i];
+      var from = mIdById[edge.from];
+      var to = mIdById[edge.to];
+      var label = edge.data.customLabel || edge.label;
+      var line = (edge.style.dashes ? "-.-" : "--");
+      var arrow = line + ">";
+
+      if(edge.arrow === "bi") {
+        arrow = "<" + line + ">";
+      } else if(edge.arrow === "from") {
+        // mermaid has no reversed arrow so we swap the ends instead
+        from = to;
+        to = mIdById[edge.from];
+      }
+
+      out.push("  " + from + " " + arrow
+               + (label ? "|" + mermaidText(label) + "|" : "")
+               + " " + to);
+    }
+
+    return out.concat(styles).join("\n") + "\n";
+
+  }
+};
+
+/**
+ * RDF in Turtle syntax, e.g. to feed the wiki into a triple store.
+ * Tiddlers become resources whose IRIs consist of a configurable
+ * base and the title; edge-types become predicates whose IRIs are
+ * built from the edge-type's namespace via a configurable prefix
+ * table (see `$tm.config.sys.rdf`). Selected tiddler fields are
+ * exported as literals. If no view is specified, the whole wiki is
+ * exported.
+ */
+formats.turtle = {
+
+  label: "Turtle",
+  extension: "ttl",
+
+  serialize: function(view) {
+
+    return serializeRdf(view, true);
+
+  }
+};
+
+/**
+ * Like {@link formats.turtle} but as N-Triples, i.e. one triple per
+ * line with full IRIs.
+ */
+formats.ntriples = {
+
+  label: "N-Triples",
+  extension: "nt",
+
+  serialize: function(view) {
+
+    return serializeRdf(view, false);
+
+  }
+};
+
+/**
+ * OPML outlines. On export, the view's graph is turned into a tree
+ * by following the edges whose types define the hierarchy of the
+ * view (see {@link ViewAbstraction#getHierarchyEdgeTypes}). On
+ * import, each outline becomes a tiddler that is connected to its
+ * children by the edge-type `options.edgeType`.
+ */
+formats.opml = {
+
+  label: "OPML",
+  extension: "opml",
+
+  serialize: function(view) {
+
+    var tree = getOutlineTree(view);
+    var out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      '    <title>' + xml(tree.label) + '</title>',
+      '  </head>',
+      '  <body>'
+    ];
+
+    var walk = function(items, indent) {
+      for(var i = 0; i < items.length; i++) {
+        var item = items[i];
+        var tag = indent + '<outline text="' + xml(item.label) + '"';
+        if(!item.children.length) {
+          out.push(tag + '/>');
+        } else {
+          out.push(tag + '>');
+          walk(item.children, indent + "  ");
+          out.push(indent + '</outline>');
+        }
+      }
+    };
+
+    walk(tree.roots, "    ");
+    out.push('  </body>', '</opml>');
+
+    return out.join("\n") + "\n";
+
+  },
+
+  /**
+   * @param {string} text - The OPML document.
+   * @param {Object} [options]
+   * @param {string} [options.edgeType="tmap:child"] - The type of
+   *     the edges that connect an outline with its children.
+   * @return {ImportGraph} The graph.
+   */
+  parse: function(text, options) {
+
+    return readOutline(text, "outline", "text", options);
+
+  }
+};
+
+/**
+ * FreeMind and Freeplane mind maps (`.mm`). Works like
+ * {@link formats.opml}. Since a mind map has a single root, the view
+ * becomes the root if the graph has several roots.
+ */
+formats.freemind = {
+
+  label: "FreeMind",
+  extension: "mm",
+
+  serialize: function(view) {
+
+    var tree = getOutlineTree(view);
+    var roots = tree.roots;
+    if(roots.length !== 1) {
+      roots = [ { label: tree.label, children: roots } ];
+    }
+
+    var out = [ '<map version="1.0.1">' ];
+
+    var walk = function(items, indent) {
+      for(var i = 0; i < items.length; i++) {
+        var item = items[i];
+        var tag = indent + '<node TEXT="' + xml(item.label) + '"';
+        if(!item.children.length) {
+          out.push(tag + '/>');
+        } else {
+          out.push(tag + '>');
+          walk(item.children, indent + "  ");
+          out.push(indent + '</node>');
+        }
+      }
+    };
+
+    walk(roots, "  ");
+    out.push('</map>');
+
+    return out.join("\n") + "\n";
+
+  },
+
+  /**
+   * @see formats.opml.parse
+   */
+  parse: function(text, options) {
+
+    return readOutline(text, "node", "TEXT", options);
+
+  }
+};
+
+/**
+ * Indented lists, e.g. a brain dump of a structure. Items may be
+ * nested by indentation (markdown style bullets like `-` or `1.`)
+ * or by repeating the bullet (wikitext style like `**`). Every item
+ * becomes a tiddler that is connected to its children by the
+ * edge-type `options.edgeType`. The nodes are positioned as a tree
+ * that grows downwards.
+ */
+formats.outline = {
+
+  label: "Indented list",
+
+  /**
+   * @param {string} text - The list.
+   * @param {Object} [options]
+   * @param {string} [options.edgeType="tmap:child"] - The type of
+   *     the edges that connect an item with its children.
+   * @return {ImportGraph} The graph.
+   * @throws {SyntaxError} If the list contains no items.
+   */
+  parse: function(text, options) {
+
+    options = options || {};
+
+    var type = options.edgeType || "tmap:child";
+    var lines = (text || "").split(/\r?\n/);
+    var nodes = [];
+    var edges = [];
+    var childrenById = utils.makeHashMap();
+    var roots = [];
+    var parents = []; // the chain of ancestors with their indentation
+
+    for(var i = 0; i < lines.length; i++) {
+
+      var match = lines[i].match(/^([ \t]*)([*#]+|[-+]|\d+[.)])?\s*(.*)$/);
+      var title = match[3].replace(/^\[\[(?:[^|\]]*\|)?(.*?)\]\]$/, "$1")
+                          .trim();
+      if(!title) continue;
+
+      // wikitext bullets express the depth by repetition
+      var bullet = match[2] || "";
+      var indent = match[1].replace(/\t/g, "    ").length
+                   + (/^[*#]/.test(bullet) ? bullet.length - 1 : 0);
+
+      while(parents.length && parents[parents.length - 1].indent >= indent) {
+        parents.pop();
+      }
+
+      var id = "n" + nodes.length;
+      nodes.push({ id: id, title: title });
+      childrenById[id] = [];
+
+      if(parents.length) {
+        var parentId = parents[parents.length - 1].id;
+        childrenById[parentId].push(id);
+        edges.push({ from: parentId, to: id, type: type, data: {} });
+      } else {
+        roots.push(id);
+      }
+
+      parents.push({ id: id, indent: indent });
+    }
+
+    if(!nodes.length) {
+      throw new SyntaxError("The list contains no items");
+    }
+
+    layoutTree(nodes, roots, childrenById);
+
+    return { nodes: nodes, edges: edges };
+
+  }
+};
+
+/**
+ * Returns the ids of the global node-types each node inherits.
+ *
+ * @private
+ * @param {Hashmap<Id, Node>} nodes
+ * @return {Hashmap<TiddlerReference, Array<string>>}
+ */
+var getNodeTypes = function(nodes) {
+
+  var tRefs = $tm.adapter.getTiddlersById(nodes);
+  var glNTy = $tm.indeces.glNTy;
+  var typesByTRef = utils.makeHashMap();
+
+  for(var i = 0; i < glNTy.length; i++) {
+    var inheritors = glNTy[i].getInheritors(tRefs);
+    for(var j = inheritors.length; j--;) {
+      var types = typesByTRef[inheritors[j]] = typesByTRef[inheritors[j]] || [];
+      types.push(glNTy[i].id);
+    }
+  }
+
+  return typesByTRef;
+
+};
+
+/**
+ * @private
+ */
+var xml = function(str) {
+
+  return $tw.utils.htmlEncode(str == null ? "" : "" + str);
+
+};
+
+/**
+ * @private
+ */
+var key = function(name, target, type, id) {
+
+  return '  <key id="' + (id || name) + '" for="' + target + '"'
+         + ' attr.name="' + xml(name) + '" attr.type="' + type + '"/>';
+
+};
+
+/**
+ * @private
+ * @return {string|undefined} The data element or undefined if
+ *     there is no value.
+ */
+var data = function(key, value) {
+
+  if(value == null || value === "") return;
+
+  return '      <data key="' + key + '">' + xml(value) + '</data>';
+
+};
+
+/**
+ * @private
+ */
+var attvalue = function(key, value) {
+
+  if(value == null || value === "") return;
+
+  return '          <attvalue for="' + key + '" value="' + xml(value)
+         + '"/>';
+
+};
+
+/**
+ * Maps vis node shapes to dot node shapes.
+ *
+ * @private
+ */
+var dotShapes = {
+  box: "box",
+  ellipse: "ellipse",
+  circle: "circle",
+  database: "cylinder",
+  dot: "point",
+  diamond: "diamond",
+  star: "star",
+  triangle: "triangle",
+  triangleDown: "invtriangle",
+  square: "square",
+  text: "plaintext"
+};
+
+/**
+ * Quotes a dot id. Within quoted strings, only quotes need to be
+ * escaped.
+ *
+ * @private
+ */
+var dotId = function(str) {
+
+  return "\"" + ("" + str).replace(/"/g, "\\\"").replace(/\n/g, "\\n") + "\"";
+
+};
+
+/**
+ * Returns the names of the well-known edge metadata fields followed
+ * by all other metadata fields used by the edges of a graph.
+ *
+ * @private
+ * @param {{edges: Array<Object>}} graph - See {@link formats.getExportGraph}.
+ * @return {Array<string>} The field names.
+ */
+var getDataFields = function(graph) {
+
+  var fields = $tm.misc.edgeDataFields.slice();
+  var isListed = utils.getArrayValuesAsHashmapKeys(fields);
+
+  for(var i = 0; i < graph.edges.length; i++) {
+    for(var field in graph.edges[i].data) {
+      if(!isListed[field]) {
+        isListed[field] = true;
+        fields.push(field);
+      }
+    }
+  }
+
+  return fields;
+
+};
+
+/**
+ * Metadata fields may have any name, which is why they are
+ * referenced by generated ids in xml formats. The field names are
+ * only used as human readable names of the ids.
+ *
+ * @private
+ * @param {Array<string>} dataFields - See {@link getDataFields}.
+ * @return {Hashmap<string, string>} The ids by field name.
+ */
+var getDataFieldKeys = function(dataFields) {
+
+  var keys = utils.makeHashMap();
+  for(var i = 0; i < dataFields.length; i++) {
+    keys[dataFields[i]] = "e_" + i;
+  }
+
+  return keys;
+
+};
+
+/**
+ * @private
+ */
+var dotAttrs = function(attrs) {
+
+  var list = [];
+  for(var name in attrs) {
+    if(attrs[name] == null || attrs[name] === "") continue;
+    // metadata fields may have any name
+    var key = (/^[A-Za-z_]\w*$/.test(name) ? name : dotId(name));
+    list.push(key + "=" + dotId(attrs[name]));
+  }
+
+  return (list.length ? " [" + list.join(", ") + "]" : "");
+
+};
+
+/**
+ * Maps vis node shapes to mermaid brackets.
+ *
+ * @private
+ */
+var mermaidShapes = {
+  box: [ "[", "]" ],
+  ellipse: [ "([", "])" ],
+  circle: [ "((", "))" ],
+  database: [ "[(", ")]" ],
+  dot: [ "((", "))" ],
+  diamond: [ "{", "}" ],
+  hexagon: [ "{{", "}}" ]
+};
+
+/**
+ * Quotes a mermaid label. Characters that have a meaning in mermaid
+ * are replaced by their entity codes.
+ *
+ * @private
+ */
+var mermaidText = function(str) {
+
+  str = ("" + str).replace(/"/g, "#quot;")
+                  .replace(/\|/g, "#124;")
+                  .replace(/\n/g, "<br/>");
+
+  return "\"" + str + "\"";
+
+};
+
+/**
+ * @private
+ */
+var rdfsLabel = "http://www.w3.org/2000/01/rdf-schema#label";
+
+/**
+ * Turns a view's graph into triples, see {@link formats.turtle}.
+ *
+ * @private
+ * @param {ViewAbstraction|string} [view] - The view to export.
+ * @param {boolean} isTurtle - True if prefixes should be used.
+ * @return {string} The triples.
+ */
+var serializeRdf = function(view, isTurtle) {
+
+  var config = $tm.config.sys.rdf;
+  var prefixes = getRdfPrefixes(config.prefixes);
+  var graph = formats.getExportGraph(view);
+  var allETy = $tm.indeces.allETy;
+  var fields = $tw.utils.parseStringArray(config.fields || "");
+  var fieldIRI = prefixes["tw-field"] || config.base + "field/";
+  var iriById = utils.makeHashMap();
+  var isTypeListed = utils.makeHashMap();
+  var out = [];
+
+  var term = function(iri) {
+
+    if(isTurtle) {
+      for(var prefix in prefixes) {
+        var name = iri.substr(prefixes[prefix].length);
+        if(iri.indexOf(prefixes[prefix]) === 0
+           && /^[A-Za-z_][\w-]*$/.test(name)) {
+          return prefix + ":" + name;
+        }
+      }
+    }
+
+    return "<" + iri + ">";
+
+  };
+
+  var triple = function(s, p, o) {
+    out.push(term(s) + " " + term(p) + " " + o + " .");
+  };
+
+  for(var i = 0; i < graph.nodes.length; i++) {
+
+    var node = graph.nodes[i];
+    var iri = iriById[node.id] = config.base + iriEncode(node.title);
+    var tObj = $tw.wiki.getTiddler(node.title);
+
+    triple(iri, rdfsLabel, rdfLiteral(node.title));
+
+    for(var j = 0; tObj && j < fields.length; j++) {
+      var values = tObj.fields[fields[j]];
+      if(values == null || values === "") continue;
+      if(!$tw.utils.isArray(values)) values = [ values ];
+      for(var k = 0; k < values.length; k++) {
+        var value = values[k];
+        // dates are exported in the form tiddlywiki stores them
+        if(value instanceof Date) value = $tw.utils.stringifyDate(value);
+        triple(iri, fieldIRI + iriEncode(fields[j]), rdfLiteral(value));
+      }
+    }
+  }
+
+  for(var i = 0; i < graph.edges.length; i++) {
+
+    var edge = graph.edges[i];
+    var type = allETy[edge.type] || new EdgeType(edge.type);
+    var ns = prefixes[type.namespace];
+    var typeIRI = (ns
+                   ? ns + iriEncode(type.marker + type.name)
+                   : prefixes[""] + iriEncode(type.id));
+
+    triple(iriById[edge.from], typeIRI, term(iriById[edge.to]));
+
+    if(!isTypeListed[type.id]) {
+      isTypeListed[type.id] = true;
+      triple(typeIRI, rdfsLabel, rdfLiteral(edge.label));
+    }
+  }
+
+  if(isTurtle) {
+    var header = [];
+    for(var prefix in prefixes) {
+      header.push("@prefix " + prefix + ": <" + prefixes[prefix] + "> .");
+    }
+    out = header.concat([ "" ], out);
+  }
+
+  return out.join("\n") + "\n";
+
+};
+
+/**
+ * Parses the prefix table. Each line consists of a prefix followed
+ * by a colon and an IRI that may be enclosed in angle brackets,
+ * e.g. `foaf: <http://xmlns.com/foaf/0.1/>`. The empty prefix is
+ * used for edge-types that have no namespace.
+ *
+ * @private
+ * @param {string} text - The prefix table.
+ * @return {Hashmap<string, string>} The IRIs by prefix.
+ */
+var getRdfPrefixes = function(text) {
+
+  var prefixes = utils.makeHashMap();
+  var lines = (text || "").split("\n");
+
+  for(var i = 0; i < lines.length; i++) {
+    var match = lines[i].match(/^\s*([A-Za-z][\w-]*)?:\s*<?([^\s<>]+)>?\s*$/);
+    if(match) prefixes[match[1] || ""] = match[2];
+  }
+
+  prefixes.rdfs = "http://www.w3.org/2000/01/rdf-schema#";
+  if(!prefixes[""]) prefixes[""] = $tm.config.sys.rdf.base;
+
+  return prefixes;
+
+};
+
+/**
+ * @private
+ */
+var iriEncode = function(str) {
+
+  return encodeURIComponent(str).replace(/'/g, "%27");
+
+};
+
+/**
+ * @private
+ */
+var rdfLiteral = function(str) {
+
+  return "\"" + ("" + str).replace(/\\/g, "\\\\")
+                         .replace(/"/g, "\\\"")
+                         .replace(/\n/g, "\\n")
+                         .replace(/\r/g, "\\r")
+                         .replace(/\t/g, "\\t") + "\"";
+
+};
+
+/**
+ * Turns the graph of a view into a tree by following the edges of
+ * the view's hierarchy edge-types from parent to child. If the view
+ * defines no hierarchy, "tmap:child" edges are followed. Nodes
+ * reached via several parents are only listed once; nodes that are
+ * not reached at all become roots.
+ *
+ * @private
+ * @param {ViewAbstraction|string} view - The view to export.
+ * @return {{label: string, roots: Array<Object>}} The view label and
+ *     the root items, each with a `label` (the tiddler title) and
+ *     its `children`.
+ */
+var getOutlineTree = function(view) {
+
+  view = new ViewAbstraction(view);
+
+  var graph = formats.getExportGraph(view);
+  var types = Object.keys(view.getHierarchyEdgeTypes());
+  if(!types.length) types = [ "tmap:child" ];
+
+  var isHierarchyType = utils.getArrayValuesAsHashmapKeys(types);
+  var nodesById = utils.makeHashMap();
+  var childrenById = utils.makeHashMap();
+  var hasParent = utils.makeHashMap();
+  var isVisited = utils.makeHashMap();
+
+  for(var i = 0; i < graph.nodes.length; i++) {
+    nodesById[graph.nodes[i].id] = graph.nodes[i];
+    childrenById[graph.nodes[i].id] = [];
+  }
+
+  for(var i = 0; i < graph.edges.length; i++) {
+    var edge = graph.edges[i];
+    if(!isHierarchyType[edge.type] || edge.from === edge.to) continue;
+    childrenById[edge.from].push(edge.to);
+    hasParent[edge.to] = true;
+  }
+
+  var byTitle = function(a, b) {
+    return nodesById[a].title.localeCompare(nodesById[b].title);
+  };
+
+  var makeItem = function(id) {
+
+    isVisited[id] = true;
+
+    // titles instead of labels allow to import the outline again
+    var item = { label: nodesById[id].title, children: [] };
+    var children = childrenById[id].sort(byTitle);
+    for(var i = 0; i < children.length; i++) {
+      if(!isVisited[children[i]]) {
+        item.children.push(makeItem(children[i]));
+      }
+    }
+
+    return item;
+
+  };
+
+  // nodes in a cycle have no root so we add them afterwards
+  var ids = Object.keys(nodesById).sort(byTitle);
+  var roots = [];
+  for(var i = 0; i < ids.length; i++) {
+    if(!hasParent[ids[i]]) roots.push(makeItem(ids[i]));
+  }
+  for(var i = 0; i < ids.length; i++) {
+    if(!isVisited[ids[i]]) roots.push(makeItem(ids[i]));
+  }
+
+  return { label: view.getLabel(), roots: roots };
+
+};
+
+/**
+ * Reads an xml outline whose items are nested elements of the same
+ * name, like OPML or FreeMind. Any other elements are ignored, except
+ * that the text of an item without text attribute is read from its
+ * `richcontent` element, which FreeMind uses for formatted text.
+ * Items that have no text at all get unique titles, so they don't
+ * end up as a single tiddler.
+ *
+ * @private
+ * @param {string} text - The xml document.
+ * @param {string} tagName - The name of the item elements.
+ * @param {string} attrName - The attribute holding the item text.
+ * @param {Object} [options] - See {@link formats.opml.parse}.
+ * @return {ImportGraph} The graph.
+ * @throws {SyntaxError} If the document contains no items or the
+ *     items are not properly nested.
+ */
+var readOutline = function(text, tagName, attrName, options) {
+
+  options = options || {};
+
+  var type = options.edgeType || "tmap:child";
+  var nodes = [];
+  var edges = [];
+  var parents = [];
+  var regex = new RegExp("<(/?)" + tagName
+                         + "((?:\\s+[\\w:.-]+\\s*=\\s*(?:\"[^\"]*\"|'[^']*'))*)"
+                         + "\\s*(/?)>", "g");
+  var nextItemRegex = new RegExp("</?" + tagName + "[\\s/>]", "g");
+  var untitledCount = 0;
+
+  // comments may contain anything
+  text = text.replace(/<!--[\s\S]*?-->/g, "");
+
+  for(var match; (match = regex.exec(text));) {
+
+    if(match[1]) { // end tag
+      if(!parents.length) {
+        throw new SyntaxError("Unexpected </" + tagName + ">");
+      }
+      parents.pop();
+      continue;
+    }
+
+    var attrs = readXmlAttrs(match[2]);
+    var title = attrs[attrName];
+
+    if(title == null && !match[3]) {
+      // the content up to the next item belongs to this item
+      nextItemRegex.lastIndex = regex.lastIndex;
+      var next = nextItemRegex.exec(text);
+      title = readRichContent(text.substring(regex.lastIndex,
+                                             next ? next.index : text.length));
+    }
+
+    title = (title || "").replace(/\s+/g, " ").trim();
+    if(!title) {
+      untitledCount++;
+      title = "Untitled" + (untitledCount > 1 ? " " + untitledCount : "");
+    }
+
+    var id = "n" + nodes.length;
+
+    nodes.push({ id: id, title: title });
+
+    if(parents.length) {
+      edges.push({
+        from: parents[parents.length - 1],
+        to: id,
+        type: type,
+        data: {}
+      });
+    }
+
+    if(!match[3]) parents.push(id);
+  }
+
+  if(!nodes.length) {
+    throw new SyntaxError("No <" + tagName + "> elements found");
+  }
+
+  if(parents.length) {
+    throw new SyntaxError("Missing </" + tagName + ">");
+  }
+
+  return { nodes: nodes, edges: edges };
+
+};
+
+/**
+ * @private
+ * @param {string} str - The content of a FreeMind node.
+ * @return {string} The plain text of the node's rich text or an empty
+ *     string if the node has none. Notes and details are ignored.
+ */
+var readRichContent = function(str) {
+
+  var regex = new RegExp("<richcontent\\s[^>]*TYPE\\s*=\\s*[\"']NODE[\"'][^>]*>"
+                         + "([\\s\\S]*?)</richcontent>", "i");
+  var match = regex.exec(str);
+  if(!match) return "";
+
+  // block elements separate words while inline elements don't
+  return decodeXml(match[1].replace(/<head[\s\S]*?<\/head>/gi, "")
+                           .replace(/<\/?(p|div|br|li|h\d|td)\b[^>]*>/gi, " ")
+                           .replace(/<[^>]*>/g, ""));
+
+};
+
+/**
+ * @private
+ * @param {string} str - The attributes of an xml start tag.
+ * @return {Hashmap<string, string>} The decoded attribute values.
+ */
+var readXmlAttrs = function(str) {
+
+  var attrs = utils.makeHashMap();
+  var regex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  for(var match; (match = regex.exec(str));) {
+    attrs[match[1]] = decodeXml(match[2] != null ? match[2] : match[3]);
+  }
+
+  return attrs;
+
+};
+
+/**
+ * @private
+ */
+var decodeXml = function(str) {
+
+  var entities = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+  return str.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, function(all, ref) {
+    if(ref.charAt(0) !== "#") {
+      return (entities[ref] != null ? entities[ref] : all);
+    }
+    var isHex = (ref.charAt(1) === "x" || ref.charAt(1) === "X");
+    return String.fromCharCode(parseInt(ref.substr(isHex ? 2 : 1),
+                                        isHex ? 16 : 10));
+  });
+
+};
+
+/**
+ * Positions the nodes of a forest: leaves are placed next to each
+ * other while each parent is centered above its children.
+ *
+ * @private
+ * @param {Array<Object>} nodes - The nodes whose `x` and `y`
+ *     properties are set.
+ * @param {Array<string>} roots - The ids of the roots.
+ * @param {Hashmap<string, Array<string>>} childrenById - The ids of
+ *     the children of each node.
+ */
+var layoutTree = function(nodes, roots, childrenById) {
+
+  var gapX = 150;
+  var gapY = 100;
+  // zero coordinates are not stored by the view, so we start at gap
+  var nextX = gapX;
+  var positions = utils.makeHashMap();
+
+  var place = function(id, depth) {
+
+    var children = childrenById[id];
+    var x = nextX;
+
+    if(children.length) {
+      for(var i = 0; i < children.length; i++) {
+        place(children[i], depth + 1);
+      }
+      x = (positions[children[0]].x
+           + positions[children[children.length - 1]].x) / 2;
+    } else {
+      nextX += gapX;
+    }
+
+    positions[id] = { x: x, y: (depth + 1) * gapY };
+
+  };
+
+  for(var i = 0; i < roots.length; i++) {
+    place(roots[i], 0);
+  }
+
+  for(var i = 0; i < nodes.length; i++) {
+    nodes[i].x = positions[nodes[i].id].x;
+    nodes[i].y = positions[nodes[i].id].y;
+  }
+
+};
+
+/**
+ * A small recursive descent parser for the dot language.
+ *
+ * @private
+ * @constructor
+ * @param {string} text - The dot source.
+ */
+var DotParser = function(text) {
+
+  this.tokens = this.tokenize(text);
+  this.pos = 0;
+  this.nodes = utils.makeHashMap();
+  this.edges = [];
+
+};
+
+DotParser.prototype.tokenRegex = new RegExp([
+  "\\/\\/[^\\n]*",                    // line comment
+  "\\/\\*[\\s\\S]*?\\*\\/",           // block comment
+  "^\\s*#[^\\n]*",                    // preprocessor output
+  "(\"(?:[^\"\\\\]|\\\\[\\s\\S])*\")",   // quoted id
+  "(->|--|[{}\\[\\];,=:+<>])",        // operators
+  "([^\\s{}\\[\\];,=:+<>\"\\-]+(?:-[^\\s{}\\[\\];,=:+<>\"\\-]+)*)", // plain id
+  "(-?(?:\\.\\d+|\\d+(?:\\.\\d*)?))"  // numeral
+].join("|"), "gm");
+
+DotParser.prototype.tokenize = function(text) {
+
+  var tokens = [];
+  var regex = new RegExp(this.tokenRegex.source, "gm");
+  var match;
+
+  while((match = regex.exec(text))) {
+    if(match[1] != null) {
+      var str = match[1].slice(1, -1).replace(/\\"/g, "\"")
+                                      .replace(/\\\n/g, "")
+                                      .replace(/\\n/g, "\n");
+      tokens.push({ id: str });
+    } else if(match[2] === "<") {
+      // html strings are kept as they are
+      tokens.push({ id: this.readHtmlString(text, regex) });
+    } else if(match[2] != null) {
+      tokens.push({ op: match[2] });
+    } else if(match[3] != null || match[4] != null) {
+      tokens.push({ id: match[3] || match[4] });
+    }
+  }
+
+  // concatenate quoted strings joined by a plus sign
+  for(var i = tokens.length - 2; i > 0; i--) {
+    if(tokens[i].op === "+" && tokens[i - 1].id != null
+       && tokens[i + 1].id != null) {
+      tokens[i - 1].id += tokens[i + 1].id;
+      tokens.splice(i, 2);
+    }
+  }
+
+  return tokens;
+
+};
+
+DotParser.prototype.readHtmlString = function(text, regex) {
+
+  var depth = 1;
+  var start = regex.lastIndex;
+
+  for(var i = start; i < text.length && depth; i++) {
+    if(text[i] === "<") depth++;
+    else if(text[i] === ">") depth--;
+  }
+
+  regex.lastIndex = i;
+
+  return text.substring(start, i - 1);
+
+};
+
+DotParser.prototype.peek = function(op) {
+
+  var token = this.tokens[this.pos];
+  return (token && (op ? token.op === op : token));
+
+};
+
+DotParser.prototype.next = function() {
+
+  return this.tokens[this.pos++];
+
+};
+
+DotParser.prototype.expect = function(op) {
+
+  var token = this.next();
+  if(!token || token.op !== op) {
+    throw new SyntaxError("DOT: expected \"" + op + "\" but found "
+                          + (token ? "\"" + (token.op || token.id) + "\""
+                                   : "end of input"));
+  }
+
+};
+
+DotParser.prototype.parseGraph = function() {
+
+  var token = this.next();
+  if(token && /^strict$/i.test(token.id)) token = this.next();
+
+  if(!token || !/^(di)?graph$/i.test(token.id)) {
+    throw new SyntaxError("DOT: expected \"graph\" or \"digraph\"");
+  }
+
+  if(this.peek() && this.peek().id != null) this.next(); // graph id
+
+  this.parseBlock({ node: {}, edge: {} });
+
+  return { nodes: this.nodes, edges: this.edges };
+
+};
+
+/**
+ * Parses a statement list in curly brackets.
+ *
+ * @return {Array<string>} The ids of all nodes in the block.
+ */
+DotParser.prototype.parseBlock = function(defaults) {
+
+  // defaults set within a block do not leak out of it
+  defaults = {
+    node: $tw.utils.extend({}, defaults.node),
+    edge: $tw.utils.extend({}, defaults.edge)
+  };
+
+  var members = [];
+
+  this.expect("{");
+
+  while(this.peek() && !this.peek("}")) {
+    if(this.peek(";") || this.peek(",")) {
+      this.next();
+    } else {
+      members = members.concat(this.parseStatement(defaults));
+    }
+  }
+
+  this.expect("}");
+
+  return members;
+
+};
+
+DotParser.prototype.parseStatement = function(defaults) {
+
+  var token = this.peek();
+
+  if(token.id != null && /^(node|edge|graph)$/i.test(token.id)
+     && this.tokens[this.pos + 1] && this.tokens[this.pos + 1].op === "[") {
+    this.next();
+    var attrs = this.parseAttrs();
+    var kind = token.id.toLowerCase();
+    if(kind !== "graph") $tw.utils.extend(defaults[kind], attrs);
+    return [];
+  }
+
+  if(token.id != null && this.tokens[this.pos + 1]
+     && this.tokens[this.pos + 1].op === "=") {
+    this.pos += 3; // graph attribute
+    return [];
+  }
+
+  var members = [];
+  var operand = this.parseOperand(defaults);
+  members = members.concat(operand);
+
+  var chain = [ operand ];
+  while(this.peek("->") || this.peek("--")) {
+    this.next();
+    operand = this.parseOperand(defaults);
+    members = members.concat(operand);
+    chain.push(operand);
+  }
+
+  var attrs = (this.peek("[") ? this.parseAttrs() : {});
+
+  if(chain.length === 1) {
+    // node statement
+    for(var i = operand.length; i--;) {
+      $tw.utils.extend(this.nodes[operand[i]], attrs);
+    }
+  } else {
+    attrs = $tw.utils.extend({}, defaults.edge, attrs);
+    for(var i = 1; i < chain.length; i++) {
+      for(var j = 0; j < chain[i - 1].length; j++) {
+        for(var k = 0; k < chain[i].length; k++) {
+          this.edges.push({
+            from: chain[i - 1][j],
+            to: chain[i][k],
+            attrs: attrs
+          });
+        }
+      }
+    }
+  }
+
+  return members;
+
+};
+
+/**
+ * An operand is either a node id (with an optional port) or a
+ * subgraph.
+ *
+ * @return {Array<string>} The ids of the nodes.
+ */
+DotParser.prototype.parseOperand = function(defaults) {
+
+  var token = this.peek();
+
+  if(!token) {
+    throw new SyntaxError("DOT: unexpected end of input");
+  }
+
+  if(token.op === "{" || /^subgraph$/i.test(token.id)) {
+    if(token.op !== "{") {
+      this.next();
+      if(this.peek() && this.peek().id != null) this.next(); // name
+    }
+    return this.parseBlock(defaults);
+  }
+
+  if(token.id == null) {
+    throw new SyntaxError("DOT: unexpected \"" + token.op + "\"");
+  }
+
+  this.next();
+
+  // ignore ports
+  while(this.peek(":")) {
+    this.next();
+    this.next();
+  }
+
+  if(!this.nodes[token.id]) {
+    this.nodes[token.id] = $tw.utils.extend({}, defaults.node);
+  }
+
+  return [ token.id ];
+
+};
+
+DotParser.prototype.parseAttrs = function() {
+
+  var attrs = {};
+
+  while(this.peek("[")) {
+    this.next();
+    while(this.peek() && !this.peek("]")) {
+      var name = this.next().id;
+      var value = "true";
+      if(this.peek("=")) {
+        this.next();
+        var token = this.next();
+        if(!token) {
+          throw new SyntaxError("DOT: unexpected end of input");
+        }
+        if(token.id == null) {
+          throw new SyntaxError("DOT: unexpected \"" + token.op + "\"");
+        }
+        value = token.id;
+      }
+      if(name != null) attrs[name] = value;
+      if(this.peek(",") || this.peek(";")) this.next();
+    }
+    this.expect("]");
+  }
+
+  return attrs;
+
+};
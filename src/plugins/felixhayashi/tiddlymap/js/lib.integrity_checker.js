@@ -0,0 +1,320 @@
+/*\
+
+title: $:/plugins/felixhayashi/tiddlymap/js/integrityChecker
+type: application/javascript
+module-type: library
+
+@preserve
+
+\*/
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*** Exports *******************************************************/
+
+module.exports = {};
+
+/*** Imports *******************************************************/
+
+var utils =           require("$:/plugins/felixhayashi/tiddlymap/js/utils");
+var ViewAbstraction = require("$:/plugins/felixhayashi/tiddlymap/js/ViewAbstraction");
+var EdgeType =        require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
+
+/*** Code **********************************************************/
+
+var checker = module.exports;
+
+/**
+ * The categories of problems the checker is able to detect. Each
+ * category provides a `scan` function that returns a list of
+ * problems and a `repair` function that fixes the problems found.
+ * Problems are plain objects that carry a human readable `descr`.
+ */
+checker.categories = {
+
+  /**
+   * tmap edges whose target node doesn't exist anymore.
+   */
+  danglingEdges: {
+
+    label: "Edges pointing to missing nodes",
+
+    scan: function() {
+
+      var problems = [];
+      var tiddlers = utils.getTiddlersWithField("tmap.edges");
+
+      for(var tRef in tiddlers) {
+
+        var connections = utils.parseFieldData(tiddlers[tRef],
+                                               "tmap.edges",
+                                               {});
+
+        for(var id in connections) {
+          var con = connections[id];
+          if(!con || isNodeExisting(con.to)) continue;
+          var edge = {
+            id: id,
+            from: $tm.indeces.idByT[tRef],
+            to: con.to,
+            type: con.type
+          };
+          problems.push({ edge: edge, descr: tRef + " → " + con.to });
+        }
+      }
+
+      return problems;
+
+    },
+
+    repair: function(problems) {
+
+      var edges = [];
+      for(var i = problems.length; i--;) {
+        edges.push(problems[i].edge);
+      }
+
+      $tm.adapter.deleteEdges(edges);
+
+    }
+  },
+
+  /**
+   * Positions and styles that views keep for nodes and edges that
+   * do not exist anymore.
+   */
+  orphanedViewData: {
+
+    label: "View data of missing nodes or edges",
+
+    scan: function() {
+
+      var problems = [];
+      var allNodes = $tm.adapter.getAllPotentialNodes();
+      var allEdges = $tm.adapter.getEdgesForSet(allNodes);
+      var viewRefs = utils.getMatches($tm.selector.allViews);
+
+      for(var i = viewRefs.length; i--;) {
+
+        var view = new ViewAbstraction(viewRefs[i]);
+
+        var nodeData = view.getNodeData(null, true);
+        for(var id in nodeData) {
+          if(nodeData[id] == null || isNodeExisting(id)) continue;
+          problems.push({
+            view: view.getLabel(), id: id, isEdge: false,
+            descr: view.getLabel() + ": node " + id
+          });
+        }
+
+        var edgeData = view.getEdgeData(null, true);
+        for(var id in edgeData) {
+          if(edgeData[id] == null || allEdges[id]) continue;
+          problems.push({
+            view: view.getLabel(), id: id, isEdge: true,
+            descr: view.getLabel() + ": edge " + id
+          });
+        }
+      }
+
+      return problems;
+
+    },
+
+    repair: function(problems) {
+
+      for(var i = problems.length; i--;) {
+        var view = new ViewAbstraction(problems[i].view);
+        if(problems[i].isEdge) {
+          view.saveEdgeStyle(problems[i].id, null);
+        } else {
+          view.saveNodeData(problems[i].id, null);
+        }
+      }
+
+    }
+  },
+
+  /**
+   * Edge types that are used by tmap edges but have no type tiddler.
+   */
+  missingEdgeTypes: {
+
+    label: "Missing edge-types",
+
+    scan: function() {
+
+      var problems = [];
+      var isListed = utils.makeHashMap();
+      var tiddlers = utils.getTiddlersWithField("tmap.edges");
+
+      for(var tRef in tiddlers) {
+
+        var connections = utils.parseFieldData(tiddlers[tRef],
+                                               "tmap.edges",
+                                               {});
+
+        for(var id in connections) {
+          if(!connections[id]) continue;
+          var type = new EdgeType(connections[id].type);
+          if(type.exists() || isListed[type.id]) continue;
+          isListed[type.id] = true;
+          problems.push({ type: type.id, descr: type.id });
+        }
+      }
+
+      return problems;
+
+    },
+
+    repair: function(problems) {
+
+      for(var i = problems.length; i--;) {
+        new EdgeType(problems[i].type).save();
+      }
+
+    }
+  },
+
+  /**
+   * Tiddlers sharing the same `tmap.id`. The tiddler registered in
+   * the index keeps the id, all others receive a new id. Since a
+   * duplicate is usually a clone, it also loses the edges that share
+   * their id with an edge of the original; any other edges are kept.
+   */
+  duplicateIds: {
+
+    label: "Tiddlers sharing the same id",
+
+    scan: function() {
+
+      var problems = [];
+      var tiddlersById = utils.makeHashMap();
+      var tiddlers = utils.getTiddlersWithField("tmap.id");
+
+      for(var tRef in tiddlers) {
+        var id = tiddlers[tRef].fields["tmap.id"];
+        (tiddlersById[id] = tiddlersById[id] || []).push(tRef);
+      }
+
+      for(var id in tiddlersById) {
+
+        var tRefs = tiddlersById[id];
+        if(tRefs.length < 2) continue;
+
+        var original = $tm.indeces.tById[id];
+        if(tRefs.indexOf(original) === -1) original = tRefs.sort()[0];
+
+        for(var i = tRefs.length; i--;) {
+          if(tRefs[i] === original) continue;
+          problems.push({
+            tRef: tRefs[i],
+            original: original,
+            descr: tRefs[i] + " (same id as " + original + ")"
+          });
+        }
+      }
+
+      return problems;
+
+    },
+
+    repair: function(problems) {
+
+      for(var i = problems.length; i--;) {
+
+        var tRef = problems[i].tRef;
+        var edges = utils.parseFieldData(tRef, "tmap.edges", {});
+        var originalEdges = utils.parseFieldData(problems[i].original,
+                                                 "tmap.edges", {});
+        var isChanged = false;
+        for(var id in originalEdges) {
+          if(edges[id]) {
+            delete edges[id];
+            isChanged = true;
+          }
+        }
+
+        if(isChanged) {
+          utils.setField(tRef, "tmap.edges", (utils.hasElements(edges)
+                                              ? JSON.stringify(edges)
+                                              : undefined));
+        }
+
+        $tm.adapter.assignId(tRef, true);
+
+      }
+
+    }
+  }
+
+};
+
+/**
+ * Scans the wiki for problems of all categories.
+ *
+ * @return {Hashmap<string, Array<Object>>} The problems found per
+ *     category.
+ */
+checker.check = function() {
+
+  $tm.start("Checking graph integrity");
+
+  var report = utils.makeHashMap();
+  for(var name in checker.categories) {
+    report[name] = checker.categories[name].scan();
+  }
+
+  $tm.stop("Checking graph integrity");
+
+  return report;
+
+};
+
+/**
+ * Scans the wiki again and repairs the problems of the given
+ * categories. All repairs are performed as a single step that
+ * may be undone.
+ *
+ * @param {Array<string>} names - The names of the categories.
+ * @return {number} The number of problems repaired.
+ */
+checker.repair = function(names) {
+
+  var count = 0;
+
+  $tm.adapter.transaction(function() {
+
+    for(var i = 0; i < names.length; i++) {
+
+      var category = checker.categories[names[i]];
+      if(!category) continue;
+
+      var problems = category.scan();
+      if(!problems.length) continue;
+
+      $tm.logger("warn", "Repairing", names[i], problems);
+
+      category.repair(problems);
+      count += problems.length;
+    }
+
+  }, "Repair graph");
+
+  return count;
+
+};
+
+/**
+ * A node exists if its id is indexed and the tiddler still exists.
+ *
+ * @private
+ */
+var isNodeExisting = function(id) {
+
+  var tRef = $tm.indeces.tById[id];
+  return !!(tRef && utils.tiddlerExists(tRef));
+
+};
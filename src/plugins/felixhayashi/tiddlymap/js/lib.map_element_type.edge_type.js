@@ -19,6 +19,7 @@ module.exports = EdgeType;
 /*** Imports *******************************************************/
 
 var MapElementType = require("$:/plugins/felixhayashi/tiddlymap/js/MapElementType");
+var NodeType       = require("$:/plugins/felixhayashi/tiddlymap/js/NodeType");
 var utils          = require("$:/plugins/felixhayashi/tiddlymap/js/utils");
   
 /*** Code **********************************************************/
@@ -71,8 +72,12 @@ function EdgeType(id, data, options) {
   
   // call the parent constructor
   MapElementType.call(this, this.id, this.root, EdgeType._fieldMeta, data);
-    
-  var ar = this.style && this.style.arrows;
+  
+  // the data this type inherits from its parent types
+  this._ancestors = this._getAncestorIds();
+  this._inherited = this._getInheritedData();
+  
+  var ar = this.getStyle().arrows;
   
   if(ar) {
     this.invertedArrow = this._isArrow(ar, "from");
@@ -90,12 +95,27 @@ function EdgeType(id, data, options) {
 EdgeType.prototype = Object.create(MapElementType.prototype);
 // !! EXTENSION !!
 
+// cardinalities are stored as integers
+var cardinalityMeta = {
+  parse: function(raw) {
+    return (raw && !isNaN(raw) ? parseInt(raw) : undefined);
+  },
+  stringify: function(num) {
+    return utils.isInteger(num) ? num.toString() : undefined;
+  }
+};
+
 EdgeType._fieldMeta = $tw.utils.extend(
   {},
   MapElementType._fieldMeta,
   {
     "label": {},
-    "show-label": {}
+    "show-label": {},
+    "parent": {},
+    "domain": {},
+    "range": {},
+    "min-cardinality": cardinalityMeta,
+    "max-cardinality": cardinalityMeta
   }
 );
 
@@ -133,6 +153,283 @@ EdgeType.prototype.getLabel = function() {
 
 };
 
+/**
+ * Returns the style of this type merged on top of the styles of
+ * its ancestors.
+ * 
+ * ATTENTION: Do not modify the returned object!
+ * 
+ * @return {Object} The style object.
+ */
+EdgeType.prototype.getStyle = function() {
+
+  return this._inherited.style;
+
+};
+
+/**
+ * @return {string|undefined} The description of this type or, if
+ *     not set, the description of the closest ancestor having one.
+ */
+EdgeType.prototype.getDescription = function() {
+
+  return this._inherited.description;
+
+};
+
+/**
+ * @return {boolean} True if edges of this type display a label.
+ *     If not specified by the type itself, the closest ancestor
+ *     decides.
+ */
+EdgeType.prototype.isLabelShown = function() {
+
+  return utils.isTrue(this._inherited["show-label"], true);
+
+};
+
+/**
+ * Returns the ids of all types this type inherits from, starting
+ * with the direct parent.
+ * 
+ * @return {Array<string>} A list of edge type ids.
+ */
+EdgeType.prototype.getAncestors = function() {
+
+  return this._ancestors.slice();
+
+};
+
+/**
+ * @param {string|EdgeType} type - An edge type or its id.
+ * @return {boolean} True if this type equals the given type or is
+ *     a subtype of it.
+ */
+EdgeType.prototype.isA = function(type) {
+  
+  var id = (type instanceof EdgeType ? type.id : type);
+  
+  return (this.id === id || this._ancestors.indexOf(id) !== -1);
+
+};
+
+/**
+ * Returns a whitelist that contains this type and all types that
+ * inherit from it, so edges of subtypes are matched as well.
+ * 
+ * @return {Hashmap<string, boolean>} A whitelist of edge type ids.
+ */
+EdgeType.prototype.getSubtypeWhitelist = function() {
+
+  var allETy = $tm.indeces.allETy;
+  var typeWL = utils.makeHashMap();
+  typeWL[this.id] = true;
+
+  for(var id in allETy) {
+    if(allETy[id].isA(this.id)) {
+      typeWL[id] = true;
+    }
+  }
+
+  return typeWL;
+
+};
+
+/**
+ * Returns the node types that are allowed as source of edges of
+ * this type. If not specified by the type itself, the closest
+ * ancestor decides. Node types that do not exist are ignored.
+ * 
+ * @return {Array<string>} A list of node type ids; an empty list
+ *     means that any node may be used as source.
+ */
+EdgeType.prototype.getDomain = function() {
+
+  return this._getExistingNodeTypes(this._inherited.domain);
+
+};
+
+/**
+ * Returns the node types that are allowed as target of edges of
+ * this type. See {@link EdgeType#getDomain}.
+ * 
+ * @return {Array<string>} A list of node type ids; an empty list
+ *     means that any node may be used as target.
+ */
+EdgeType.prototype.getRange = function() {
+
+  return this._getExistingNodeTypes(this._inherited.range);
+
+};
+
+/**
+ * @param {TiddlerReference} tRef - The tiddler of the source node.
+ * @return {boolean} True if the tiddler is allowed as source.
+ */
+EdgeType.prototype.isValidSource = function(tRef) {
+
+  return this._isInheritorOfAny(tRef, this.getDomain());
+
+};
+
+/**
+ * @param {TiddlerReference} tRef - The tiddler of the target node.
+ * @return {boolean} True if the tiddler is allowed as target.
+ */
+EdgeType.prototype.isValidTarget = function(tRef) {
+
+  return this._isInheritorOfAny(tRef, this.getRange());
+
+};
+
+/**
+ * Checks whether an edge of this type may connect the given nodes.
+ * 
+ * @param {TiddlerReference} fromTRef - The tiddler of the source.
+ * @param {TiddlerReference} toTRef - The tiddler of the target.
+ * @return {boolean} True if the edge respects domain and range.
+ */
+EdgeType.prototype.allows = function(fromTRef, toTRef) {
+
+  return this.isValidSource(fromTRef) && this.isValidTarget(toTRef);
+
+};
+
+/**
+ * Returns the number of edges of this type (or of its subtypes)
+ * a single node may possess as source.
+ * 
+ * The minimum is only checked for nodes that are allowed as
+ * source (see {@link EdgeType#getDomain}); if the type has no
+ * domain, the minimum is ignored as it would affect every node.
+ * 
+ * @return {Object} An object with a `min` and a `max` property;
+ *     each one is undefined if no limit is set.
+ */
+EdgeType.prototype.getCardinality = function() {
+
+  return {
+    min: this._inherited["min-cardinality"],
+    max: this._inherited["max-cardinality"]
+  };
+
+};
+
+/**
+ * @private
+ * @param {string} list - A tiddlywiki string list of node type ids.
+ */
+EdgeType.prototype._getExistingNodeTypes = function(list) {
+
+  var ids = $tw.utils.parseStringArray(list || "");
+  var existing = [];
+  
+  for(var i = 0, l = ids.length; i < l; i++) {
+    var type = new NodeType(ids[i]);
+    if(type.exists()) existing.push(type.id);
+  }
+  
+  return existing;
+
+};
+
+/**
+ * @private
+ * @param {TiddlerReference} tRef
+ * @param {Array<string>} nodeTypeIds - If empty, anything matches.
+ */
+EdgeType.prototype._isInheritorOfAny = function(tRef, nodeTypeIds) {
+
+  if(!nodeTypeIds.length) return true;
+  
+  for(var i = nodeTypeIds.length; i--;) {
+    var type = new NodeType(nodeTypeIds[i]);
+    if(type.getInheritors([ tRef ]).length) return true;
+  }
+  
+  return false;
+
+};
+
+/**
+ * Follows the `parent` fields of the type tiddlers. The raw fields
+ * are read since creating the parent types would make them resolve
+ * their ancestors as well and cycles would never end.
+ * 
+ * @private
+ * @return {Array<string>} A list of edge type ids.
+ */
+EdgeType.prototype._getAncestorIds = function() {
+
+  var ancestors = [];
+  var isVisited = utils.makeHashMap();
+  isVisited[this.id] = true;
+  
+  var parent = this.parent;
+  
+  while(parent) {
+    
+    var parts = EdgeType._getIdParts(parent, this.root);
+    var id = EdgeType._getId(parts.marker, parts.namespace, parts.name);
+    
+    if(!id || isVisited[id]) break; // guard against cycles
+    
+    isVisited[id] = true;
+    ancestors.push(id);
+    
+    parent = utils.getField(this.root + "/" + id, "parent");
+    
+  }
+  
+  return ancestors;
+
+};
+
+/**
+ * Merges the own data of the type with the data of its ancestors.
+ * 
+ * @private
+ */
+EdgeType.prototype._getInheritedData = function() {
+  
+  var inherited = {
+    style: {},
+    description: this.description,
+    "show-label": this["show-label"],
+    domain: this.domain,
+    range: this.range,
+    "min-cardinality": this["min-cardinality"],
+    "max-cardinality": this["max-cardinality"]
+  };
+  
+  var styles = [ this.style ];
+  
+  for(var i = 0, l = this._ancestors.length; i < l; i++) {
+    
+    // a plain type object is used that does not resolve ancestors
+    var ancestor = new MapElementType(this._ancestors[i],
+                                      this.root,
+                                      EdgeType._fieldMeta);
+    
+    styles.push(ancestor.style);
+    
+    // the closest ancestor that defines a value wins
+    for(var field in inherited) {
+      if(inherited[field] == null || inherited[field] === "") {
+        inherited[field] = ancestor[field];
+      }
+    }
+  }
+  
+  // styles of closer types override the styles of distant ones
+  for(var i = styles.length; i--;) {
+    utils.merge(inherited.style, styles[i]);
+  }
+  
+  return inherited;
+  
+};
+
 EdgeType.prototype._isArrow = function(arrowObj, pos) {
   
   var type = arrowObj[pos];
@@ -191,7 +191,7 @@ MapElementType.prototype.save = function(tRef, silently) {
                      : this[field]);
   }
   
-  $tw.wiki.addTiddler(new $tw.Tiddler(fields));
+  utils.storeTiddler(new $tw.Tiddler(fields));
     
 
 };
\ No newline at end of file
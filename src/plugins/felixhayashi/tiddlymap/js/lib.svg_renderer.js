@@ -0,0 +1,559 @@
+/*\
+
+title: $:/plugins/felixhayashi/tiddlymap/js/SvgRenderer
+type: application/javascript
+module-type: library
+
+@preserve
+
+\*/
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*** Exports *******************************************************/
+
+module.exports = SvgRenderer;
+
+/*** Imports *******************************************************/
+
+var utils = require("$:/plugins/felixhayashi/tiddlymap/js/utils");
+
+/**** Code *********************************************************/
+
+/**
+ * Draws the current state of a network as scalable vector graphics.
+ * Unlike a canvas snapshot, the drawing doesn't depend on the size of
+ * the canvas or the zoom level.
+ *
+ * Nodes are drawn at their current positions using the styles of the
+ * graph data; unknown shapes are drawn as ellipses. Edges are drawn
+ * as straight lines between the node borders.
+ *
+ * @constructor
+ *
+ * @param {Network} network - The vis network to draw.
+ * @param {Object} graphData - The nodes and edges of the network
+ *     (`nodesById` and `edgesById`).
+ * @param {Object} [options] - An options object.
+ * @param {Object} [options.visOptions] - The vis options used by the
+ *     network; they provide the default styles.
+ * @param {Image} [options.backgroundImage] - An image that is drawn
+ *     at the origin of the network, below all elements.
+ */
+function SvgRenderer(network, graphData, options) {
+
+  options = options || {};
+
+  var visOptions = options.visOptions || {};
+
+  this._network = network;
+  this._nodesById = graphData.nodesById || {};
+  this._edgesById = graphData.edgesById || {};
+  this._nodeDefaults = visOptions.nodes || {};
+  this._edgeDefaults = visOptions.edges || {};
+  this._backgroundImage = options.backgroundImage;
+
+  // used to measure labels
+  this._context = document.createElement("canvas").getContext("2d");
+
+}
+
+/**
+ * Shapes whose label is drawn below the shape.
+ */
+SvgRenderer.prototype.labelBelowShapes = utils.getArrayValuesAsHashmapKeys([
+  "dot", "diamond", "star", "triangle", "triangleDown", "square",
+  "icon", "image", "circularImage"
+]);
+
+/**
+ * Shapes whose border is a rectangle.
+ */
+SvgRenderer.prototype.rectShapes = utils.getArrayValuesAsHashmapKeys([
+  "box", "text", "database", "square", "image"
+]);
+
+/**
+ * @return {string} The svg document.
+ */
+SvgRenderer.prototype.render = function() {
+
+  var positions = this._network.getPositions();
+  var geometry = utils.makeHashMap();
+  var nodes = [];
+  var edges = [];
+
+  for(var id in positions) {
+    if(!this._nodesById[id]) continue;
+    var node = utils.merge({}, this._nodeDefaults, this._nodesById[id]);
+    geometry[id] = this._getGeometry(node, positions[id]);
+    nodes.push(this._renderNode(node, geometry[id]));
+  }
+
+  for(var id in this._edgesById) {
+    var edge = utils.merge({}, this._edgeDefaults, this._edgesById[id]);
+    if(!geometry[edge.from] || !geometry[edge.to]) continue;
+    edges.push(this._renderEdge(edge, geometry[edge.from],
+                                geometry[edge.to]));
+  }
+
+  var bounds = this._getBounds(geometry);
+  var width = Math.ceil(bounds.maxX - bounds.minX);
+  var height = Math.ceil(bounds.maxY - bounds.minY);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg"'
+    + ' xmlns:xlink="http://www.w3.org/1999/xlink"'
+    + ' width="' + width + '" height="' + height + '"'
+    + ' viewBox="' + [ bounds.minX, bounds.minY, width, height ].join(" ")
+    + '">',
+    this._renderBackground(),
+    '<g class="edges">',
+    edges.join("\n"),
+    '</g>',
+    '<g class="nodes">',
+    nodes.join("\n"),
+    '</g>',
+    '</svg>'
+  ].join("\n");
+
+};
+
+/**
+ * Calculates the position and size of a node's shape and label.
+ *
+ * @private
+ * @param {Object} node - The node with all styles resolved.
+ * @param {Position} pos - The node's position.
+ * @return {Object} The geometry.
+ */
+SvgRenderer.prototype._getGeometry = function(node, pos) {
+
+  var font = this._getFont(node.font);
+  var lines = ("" + (node.label || "")).split("\n");
+  var textWidth = this._measure(lines, font);
+  var textHeight = lines.length * font.size;
+  var margin = 5;
+  var size = node.size || 25;
+  var shape = node.shape || "ellipse";
+  var w, h;
+
+  if(shape === "box" || shape === "database") {
+    w = textWidth + 2 * margin;
+    h = textHeight + 2 * margin;
+  } else if(shape === "text") {
+    w = textWidth;
+    h = textHeight;
+  } else if(shape === "ellipse") {
+    w = Math.max(textWidth * 1.5, textHeight * 2);
+    h = textHeight * 2;
+  } else if(shape === "circle") {
+    w = h = Math.max(textWidth, textHeight) + 2 * margin;
+  } else if(shape === "icon") {
+    w = h = (node.icon && node.icon.size) || 50;
+  } else if(shape === "dot") {
+    w = h = size;
+  } else {
+    w = h = 2 * size;
+  }
+
+  return {
+    x: pos.x,
+    y: pos.y,
+    width: w,
+    height: h,
+    isRect: !!this.rectShapes[shape],
+    lines: lines,
+    font: font,
+    textWidth: textWidth,
+    textHeight: textHeight
+  };
+
+};
+
+/**
+ * @private
+ */
+SvgRenderer.prototype._renderNode = function(node, g) {
+
+  var shape = node.shape || "ellipse";
+  var color = this._getNodeColor(node.color);
+  var left = g.x - g.width / 2;
+  var top = g.y - g.height / 2;
+  var paint = ' fill="' + xml(color.background) + '"'
+              + ' stroke="' + xml(color.border) + '"'
+              + ' stroke-width="' + (node.borderWidth || 1) + '"';
+  var out = [];
+
+  if(shape === "box") {
+    out.push('<rect x="' + left + '" y="' + top + '" width="' + g.width
+             + '" height="' + g.height + '" rx="6" ry="6"' + paint + '/>');
+
+  } else if(shape === "database") {
+    out.push('<rect x="' + left + '" y="' + top + '" width="' + g.width
+             + '" height="' + g.height + '" rx="' + (g.width / 2) + '" ry="6"'
+             + paint + '/>');
+
+  } else if(shape === "icon" && node.icon) {
+    var icon = node.icon;
+    out.push('<text x="' + g.x + '" y="' + g.y + '"'
+             + ' font-family="' + xml(icon.face || "FontAwesome") + '"'
+             + ' font-size="' + g.height + '"'
+             + ' fill="' + xml(this._getNodeColor(icon.color).background) + '"'
+             + ' text-anchor="middle" dominant-baseline="central">'
+             + xml(icon.code || "") + '</text>');
+
+  } else if((shape === "image" || shape === "circularImage") && node.image) {
+    var clip = "";
+    if(shape === "circularImage") {
+      clip = ' clip-path="url(#' + xml(this._getClipId(node.id)) + ')"';
+      out.push('<clipPath id="' + xml(this._getClipId(node.id)) + '">'
+               + '<circle cx="' + g.x + '" cy="' + g.y + '" r="'
+               + (g.width / 2) + '"/></clipPath>');
+    }
+    out.push('<image x="' + left + '" y="' + top + '" width="' + g.width
+             + '" height="' + g.height + '"'
+             + ' preserveAspectRatio="xMidYMid meet"'
+             + ' xlink:href="' + xml(node.image) + '"' + clip + '/>');
+
+  } else if(shape === "square") {
+    out.push('<rect x="' + left + '" y="' + top + '" width="' + g.width
+             + '" height="' + g.height + '"' + paint + '/>');
+
+  } else if(shape === "diamond" || shape === "triangle"
+            || shape === "triangleDown" || shape === "star") {
+    out.push('<polygon points="' + getPolygon(shape, g) + '"' + paint + '/>');
+
+  } else if(shape !== "text") { // ellipse, circle, dot and others
+    out.push('<ellipse cx="' + g.x + '" cy="' + g.y + '" rx="'
+             + (g.width / 2) + '" ry="' + (g.height / 2) + '"' + paint
+             + '/>');
+  }
+
+  var labelY = (this.labelBelowShapes[shape]
+                ? g.y + g.height / 2 + g.textHeight / 2 + 2
+                : g.y);
+
+  out.push(this._renderLabel(g.lines, g.x, labelY, g.font));
+
+  return '<g class="node">' + out.join("") + '</g>';
+
+};
+
+/**
+ * @private
+ */
+SvgRenderer.prototype._renderEdge = function(edge, from, to) {
+
+  var color = edge.color;
+  if(typeof color === "object") color = color.color;
+  color = color || "#848484";
+
+  var width = edge.width || 1;
+  var dashes = (edge.dashes
+                ? ' stroke-dasharray="' + ($tw.utils.isArray(edge.dashes)
+                                          ? edge.dashes.join(",")
+                                          : "5,5") + '"'
+                : "");
+  var stroke = ' stroke="' + xml(color) + '" stroke-width="' + width + '"'
+               + dashes;
+  var out = [];
+
+  if(edge.from === edge.to) { // a loop
+    var r = 15;
+    var cx = from.x + from.width / 2;
+    var cy = from.y - from.height / 2;
+    out.push('<circle cx="' + cx + '" cy="' + cy + '" r="' + r
+             + '" fill="none"' + stroke + '/>');
+    out.push(this._renderLabel(("" + (edge.label || "")).split("\n"),
+                               cx + r, cy - r, this._getFont(edge.font),
+                               true));
+    return '<g class="edge">' + out.join("") + '</g>';
+  }
+
+  var start = getBorderPoint(from, to);
+  var end = getBorderPoint(to, from);
+
+  out.push('<line x1="' + start.x + '" y1="' + start.y + '" x2="' + end.x
+           + '" y2="' + end.y + '"' + stroke + '/>');
+
+  if(hasArrow(edge.arrows, "to")) {
+    out.push(getArrowHead(start, end, width, color));
+  }
+  if(hasArrow(edge.arrows, "from")) {
+    out.push(getArrowHead(end, start, width, color));
+  }
+
+  if(edge.label) {
+    out.push(this._renderLabel(("" + edge.label).split("\n"),
+                               (start.x + end.x) / 2,
+                               (start.y + end.y) / 2,
+                               this._getFont(edge.font),
+                               true));
+  }
+
+  return '<g class="edge">' + out.join("") + '</g>';
+
+};
+
+/**
+ * @private
+ * @param {Array<string>} lines - The lines of the label.
+ * @param {number} x - The horizontal center of the label.
+ * @param {number} y - The vertical center of the label.
+ * @param {Object} font - The font (see {@link SvgRenderer#_getFont}).
+ * @param {boolean} [hasHalo] - Whether to draw a white outline that
+ *     keeps the label readable on top of lines.
+ */
+SvgRenderer.prototype._renderLabel = function(lines, x, y, font, hasHalo) {
+
+  if(!lines.join("")) return "";
+
+  var top = y - (lines.length - 1) * font.size / 2;
+  var out = [];
+
+  for(var i = 0; i < lines.length; i++) {
+    out.push('<tspan x="' + x + '" y="' + (top + i * font.size) + '">'
+             + xml(lines[i]) + '</tspan>');
+  }
+
+  return '<text text-anchor="middle" dominant-baseline="central"'
+         + ' font-family="' + xml(font.face) + '"'
+         + ' font-size="' + font.size + '"'
+         + ' fill="' + xml(font.color) + '"'
+         + (hasHalo
+            ? ' stroke="#ffffff" stroke-width="3" paint-order="stroke"'
+            : "")
+         + '>' + out.join("") + '</text>';
+
+};
+
+/**
+ * @private
+ */
+SvgRenderer.prototype._renderBackground = function() {
+
+  var img = this._backgroundImage;
+  if(!img || !img.src) return "";
+
+  return '<image x="0" y="0" width="' + img.width + '" height="'
+         + img.height + '" xlink:href="' + xml(img.src) + '"/>';
+
+};
+
+/**
+ * Returns the area covered by all nodes, their labels and the
+ * background image.
+ *
+ * @private
+ */
+SvgRenderer.prototype._getBounds = function(geometry) {
+
+  var margin = 20;
+  var bounds = {
+    minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity
+  };
+
+  var add = function(x, y) {
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.minY = Math.min(bounds.minY, y);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.maxY = Math.max(bounds.maxY, y);
+  };
+
+  for(var id in geometry) {
+    var g = geometry[id];
+    var w = Math.max(g.width, g.textWidth) / 2;
+    add(g.x - w, g.y - g.height / 2);
+    // labels below shapes need extra space
+    add(g.x + w, g.y + g.height / 2 + g.textHeight);
+  }
+
+  if(this._backgroundImage && this._backgroundImage.src) {
+    add(0, 0);
+    add(this._backgroundImage.width, this._backgroundImage.height);
+  }
+
+  if(bounds.minX === Infinity) add(0, 0);
+
+  bounds.minX = Math.floor(bounds.minX - margin);
+  bounds.minY = Math.floor(bounds.minY - margin);
+  bounds.maxX += margin;
+  bounds.maxY += margin;
+
+  return bounds;
+
+};
+
+/**
+ * @private
+ * @return {{face: string, size: number, color: string}}
+ */
+SvgRenderer.prototype._getFont = function(font) {
+
+  font = (typeof font === "object" && font) || {};
+
+  return {
+    face: font.face || "arial",
+    size: parseInt(font.size) || 14,
+    color: font.color || "#343434"
+  };
+
+};
+
+/**
+ * @private
+ * @return {{background: string, border: string}}
+ */
+SvgRenderer.prototype._getNodeColor = function(color) {
+
+  if(typeof color === "string") {
+    return { background: color, border: color };
+  }
+
+  color = color || {};
+
+  return {
+    background: color.background || "#97C2FC",
+    border: color.border || "#2B7CE9"
+  };
+
+};
+
+/**
+ * @private
+ */
+SvgRenderer.prototype._measure = function(lines, font) {
+
+  this._context.font = font.size + "px " + font.face;
+
+  var width = 0;
+  for(var i = 0; i < lines.length; i++) {
+    width = Math.max(width, this._context.measureText(lines[i]).width);
+  }
+
+  return width;
+
+};
+
+/**
+ * @private
+ */
+SvgRenderer.prototype._getClipId = function(nodeId) {
+
+  return "tmap-clip-" + nodeId;
+
+};
+
+/**
+ * @private
+ */
+var xml = function(str) {
+
+  return $tw.utils.htmlEncode(str == null ? "" : "" + str);
+
+};
+
+/**
+ * Returns the point where the line from the center of a node to the
+ * center of another node leaves the first node's shape.
+ *
+ * @private
+ */
+var getBorderPoint = function(g, other) {
+
+  var dx = other.x - g.x;
+  var dy = other.y - g.y;
+  var a = g.width / 2;
+  var b = g.height / 2;
+
+  if(!dx && !dy) return { x: g.x, y: g.y };
+
+  var t = (g.isRect
+           ? Math.min(dx ? a / Math.abs(dx) : Infinity,
+                      dy ? b / Math.abs(dy) : Infinity)
+           : 1 / Math.sqrt((dx * dx) / (a * a) + (dy * dy) / (b * b)));
+
+  t = Math.min(t, 1);
+
+  return { x: g.x + dx * t, y: g.y + dy * t };
+
+};
+
+/**
+ * @private
+ */
+var getArrowHead = function(from, to, width, color) {
+
+  var angle = Math.atan2(to.y - from.y, to.x - from.x);
+  var length = 10 + 2 * width;
+  var spread = Math.PI / 7;
+  var points = [
+    [ to.x, to.y ],
+    [ to.x - length * Math.cos(angle - spread),
+      to.y - length * Math.sin(angle - spread) ],
+    [ to.x - length * Math.cos(angle + spread),
+      to.y - length * Math.sin(angle + spread) ]
+  ];
+
+  return '<polygon points="' + points.join(" ") + '" fill="' + xml(color)
+         + '"/>';
+
+};
+
+/**
+ * Arrows may be specified as string (e.g. "to, from") or as object
+ * (e.g. `{ to: { enabled: true } }`).
+ *
+ * @private
+ */
+var hasArrow = function(arrows, direction) {
+
+  if(typeof arrows === "string") {
+    return utils.hasSubString(arrows, direction);
+  }
+
+  var arrow = arrows && arrows[direction];
+
+  return (typeof arrow === "object"
+          ? arrow.enabled !== false
+          : !!arrow);
+
+};
+
+/**
+ * @private
+ */
+var getPolygon = function(shape, g) {
+
+  var x = g.x;
+  var y = g.y;
+  var r = g.width / 2;
+  var points = [];
+
+  if(shape === "diamond") {
+    points = [ [ x, y - r ], [ x + r, y ], [ x, y + r ], [ x - r, y ] ];
+
+  } else if(shape === "triangle" || shape === "triangleDown") {
+    var dir = (shape === "triangle" ? -1 : 1);
+    points = [
+      [ x, y + dir * r ],
+      [ x + r, y - dir * r / 2 ],
+      [ x - r, y - dir * r / 2 ]
+    ];
+
+  } else { // star
+    for(var i = 0; i < 10; i++) {
+      var radius = (i % 2 ? r * 0.4 : r);
+      var angle = Math.PI * i / 5 - Math.PI / 2;
+      points.push([ x + radius * Math.cos(angle),
+                    y + radius * Math.sin(angle) ]);
+    }
+  }
+
+  return points.join(" ");
+
+};
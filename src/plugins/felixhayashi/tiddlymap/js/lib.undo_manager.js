@@ -0,0 +1,244 @@
+/*\
+
+title: $:/plugins/felixhayashi/tiddlymap/js/UndoManager
+type: application/javascript
+module-type: library
+
+@preserve
+
+\*/
+
+/*jslint node: true, browser: true */
+/*global $tw: false */
+"use strict";
+
+/*** Exports *******************************************************/
+
+module.exports = UndoManager;
+
+/*** Imports *******************************************************/
+
+var utils = require("$:/plugins/felixhayashi/tiddlymap/js/utils");
+
+/*** Code **********************************************************/
+
+/**
+ * The UndoManager keeps track of the modifications that are made
+ * to the wiki during the current session in order to revert them.
+ *
+ * A step is recorded for each labeled transaction (see
+ * {@link Adapter#transaction}). A step consists of the states of
+ * all tiddlers touched by the transaction before and after the
+ * transaction. Undoing a step restores the former states, redoing
+ * a step the latter.
+ *
+ * A step is only applied if the tiddlers are still in the state the
+ * step left them in (or, when redoing, in the state undoing it
+ * left them in). Otherwise, e.g. if the user edited a tiddler in
+ * the meantime, applying the step would silently discard these
+ * modifications; such a step is dropped instead.
+ *
+ * @param {number} [limit=50] - The maximal number of steps to keep.
+ * @constructor
+ */
+function UndoManager(limit) {
+
+  this.limit = limit || 50;
+  this.undoStack = [];
+  this.redoStack = [];
+
+};
+
+/**
+ * Tiddlers whose title starts with one of these prefixes are
+ * never recorded as they only reflect the state of the ui.
+ */
+UndoManager.prototype.ignoredPrefixes = [
+  "$:/temp/",
+  "$:/state/",
+  "$:/StoryList",
+  "$:/HistoryList"
+];
+
+/**
+ * Records a step. Any previously undone steps are discarded.
+ *
+ * @param {string} label - A human readable description of the step.
+ * @param {Hashmap<TiddlerReference, $tw.Tiddler|null>} before - The
+ *     states of the touched tiddlers before the step was performed;
+ *     `null` denotes a tiddler that did not exist.
+ */
+UndoManager.prototype.record = function(label, before) {
+
+  var step = {
+    label: label,
+    before: utils.makeHashMap(),
+    after: utils.makeHashMap()
+  };
+
+  var isEmpty = true;
+
+  for(var tRef in before) {
+    if(this._isIgnored(tRef)) continue;
+
+    step.before[tRef] = before[tRef];
+    step.after[tRef] = getState(tRef);
+    isEmpty = false;
+  }
+
+  if(isEmpty) return;
+
+  $tm.logger("debug", "Recorded step", label, step);
+
+  this.undoStack.push(step);
+  if(this.undoStack.length > this.limit) {
+    this.undoStack.shift();
+  }
+
+  this.redoStack = [];
+
+};
+
+/**
+ * Reverts the last recorded step. If the tiddlers of the step have
+ * been modified since, the step is dropped without being reverted.
+ *
+ * @return {{label: string, isApplied: boolean}|undefined} The
+ *     label of the step and whether it was reverted or undefined
+ *     if there was nothing to undo.
+ */
+UndoManager.prototype.undo = function() {
+
+  var step = this.undoStack.pop();
+  if(!step) return;
+
+  var isApplied = this._isCurrent(step.after);
+
+  if(isApplied) {
+    this._restore(step.before);
+    this.redoStack.push(step);
+  } else {
+    $tm.logger("warn", "Dropped step that cannot be undone", step);
+  }
+
+  return { label: step.label, isApplied: isApplied };
+
+};
+
+/**
+ * Performs the last undone step again. If the tiddlers of the step
+ * have been modified since it was undone, the step is dropped
+ * without being performed.
+ *
+ * @return {{label: string, isApplied: boolean}|undefined} The
+ *     label of the step and whether it was performed or undefined
+ *     if there was nothing to redo.
+ */
+UndoManager.prototype.redo = function() {
+
+  var step = this.redoStack.pop();
+  if(!step) return;
+
+  var isApplied = this._isCurrent(step.before);
+
+  if(isApplied) {
+    this._restore(step.after);
+    this.undoStack.push(step);
+  } else {
+    $tm.logger("warn", "Dropped step that cannot be redone", step);
+  }
+
+  return { label: step.label, isApplied: isApplied };
+
+};
+
+/**
+ * @private
+ * @param {Hashmap<TiddlerReference, $tw.Tiddler|null>} states
+ * @return {boolean} True if all tiddlers are in the given states.
+ */
+UndoManager.prototype._isCurrent = function(states) {
+
+  for(var tRef in states) {
+    if(!isSameState(getState(tRef), states[tRef])) return false;
+  }
+
+  return true;
+
+};
+
+/**
+ * @private
+ */
+UndoManager.prototype._isIgnored = function(tRef) {
+
+  var prefixes = this.ignoredPrefixes;
+  for(var i = prefixes.length; i--;) {
+    if(utils.startsWith(tRef, prefixes[i])) return true;
+  }
+
+  return false;
+
+};
+
+/**
+ * Restores the given states. This is done in an unlabeled
+ * transaction so restoring a state is not recorded itself.
+ *
+ * @private
+ * @param {Hashmap<TiddlerReference, $tw.Tiddler|null>} states
+ */
+UndoManager.prototype._restore = function(states) {
+
+  $tm.adapter.transaction(function() {
+
+    for(var tRef in states) {
+      if(states[tRef]) {
+        utils.storeTiddler(states[tRef]);
+      } else if($tw.wiki.tiddlerExists(tRef)) {
+        utils.removeTiddler(tRef);
+      }
+    }
+
+  });
+
+};
+
+/**
+ * @private
+ * @param {TiddlerReference} tRef
+ * @return {$tw.Tiddler|null} The tiddler or null if it does not
+ *     exist; shadow tiddlers are not considered.
+ */
+var getState = function(tRef) {
+
+  return ($tw.wiki.tiddlerExists(tRef) ? $tw.wiki.getTiddler(tRef) : null);
+
+};
+
+/**
+ * @private
+ * @param {$tw.Tiddler|null} a
+ * @param {$tw.Tiddler|null} b
+ * @return {boolean} True if both states are null or if the tiddlers
+ *     have the same fields.
+ */
+var isSameState = function(a, b) {
+
+  if(a === b) return true;
+  if(!a || !b) return false;
+
+  var fieldsA = a.getFieldStrings();
+  var fieldsB = b.getFieldStrings();
+
+  if(Object.keys(fieldsA).length !== Object.keys(fieldsB).length) {
+    return false;
+  }
+
+  for(var field in fieldsA) {
+    if(fieldsA[field] !== fieldsB[field]) return false;
+  }
+
+  return true;
+
+};
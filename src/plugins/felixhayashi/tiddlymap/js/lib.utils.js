@@ -43,6 +43,91 @@ var URL       = require("$:/plugins/felixhayashi/tiddlymap/js/URL");
  */
 var utils = module.exports;
 
+/**
+ * The states of the tiddlers before they were first modified
+ * during the running journal or null if no journal is running.
+ * 
+ * @private
+ * @type {Hashmap<TiddlerReference, $tw.Tiddler|null>|null}
+ */
+var journal = null;
+
+/**
+ * Remembers the state of a tiddler before its first modification
+ * if a journal is running.
+ * 
+ * @private
+ * @param {TiddlerReference} tRef - The tiddler that is modified.
+ */
+var journalize = function(tRef) {
+  
+  if(journal && !(tRef in journal)) {
+    journal[tRef] = ($tw.wiki.tiddlerExists(tRef)
+                     ? $tw.wiki.getTiddler(tRef)
+                     : null);
+  }
+  
+};
+
+/**
+ * Starts a journal that records the states of all tiddlers
+ * before they are modified via {@link utils.storeTiddler},
+ * {@link utils.removeTiddler} or any utils function built on them.
+ * Other writers of the wiki are not journaled.
+ * 
+ * This is used by {@link Adapter#transaction}, so only one journal
+ * may run at a time.
+ * 
+ * @return {Hashmap<TiddlerReference, $tw.Tiddler|null>} The journal.
+ *     Tiddlers that did not exist before are mapped to null.
+ */
+utils.startJournal = function() {
+  
+  journal = utils.makeHashMap();
+  
+  return journal;
+  
+};
+
+/**
+ * Stops the running journal.
+ */
+utils.stopJournal = function() {
+  
+  journal = null;
+  
+};
+
+/**
+ * Adds a tiddler to the wiki. All TiddlyMap modules should write
+ * tiddlers via this function so the modifications are journaled.
+ * Only temporary tiddlers (dialogs, notifications, downloads),
+ * drafts and the view holders, which merely reflect the state of
+ * the user interface, are written to the wiki directly, since
+ * undoing or rolling back a modification must not affect them.
+ * 
+ * @param {$tw.Tiddler} tObj - The tiddler to add.
+ */
+utils.storeTiddler = function(tObj) {
+  
+  journalize(tObj.fields.title);
+  $tw.wiki.addTiddler(tObj);
+  
+};
+
+/**
+ * Deletes a tiddler from the wiki. Unlike {@link utils.deleteTiddlers},
+ * the river is not touched.
+ * 
+ * @param {TiddlerReference} tRef - The tiddler to delete.
+ */
+utils.removeTiddler = function(tRef) {
+  
+  journalize(tRef);
+  $tw.wiki.deleteTiddler(tRef);
+  
+};
+
 /**
  * Pendant to tw native {@code addTiddlers()}.
  * 
@@ -73,7 +158,7 @@ utils.deleteTiddlers = function(tiddlers) {
     // finally delete the tiddler;
     
     
-    $tw.wiki.deleteTiddler(tRef);
+    utils.removeTiddler(tRef);
 
   }
   
@@ -102,7 +187,7 @@ utils.moveFieldValues = function(oldName,
     if(isRemoveOldField) {
       fields[oldName] = undefined;
     }
-    $tw.wiki.addTiddler(new $tw.Tiddler(tObj, fields));
+    utils.storeTiddler(new $tw.Tiddler(tObj, fields));
     
   }
   
@@ -323,6 +408,48 @@ utils.getMatches = function(filter, tiddlers) {
 // @todo move this to environment
 var eTyFiltAutoPrefix = "[all[]] ";
 
+/**
+ * Collects the titles that are literally stated in a filter, i.e.
+ * the operands of `[[title]]` and `[field:title[title]]` runs.
+ * Indirect, variable and regexp operands are not considered.
+ * 
+ * @private
+ * @param {string} [filter] - A filter expression.
+ * @return {Object<string, boolean>} A lookup table of the titles.
+ */
+var getMentionedTitles = function(filter) {
+  
+  var titles = utils.makeHashMap();
+  if(!filter) return titles;
+  
+  try {
+    var runs = $tw.wiki.parseFilter(filter);
+  } catch(e) {
+    return titles; // invalid filters don't mention anything
+  }
+  
+  for(var i = runs.length; i--;) {
+    var operators = runs[i].operators;
+    for(var j = operators.length; j--;) {
+      var op = operators[j];
+      var isTitle = (op.operator === "title"
+                     || (op.operator === "field" && op.suffix === "title"));
+      if(!isTitle || op.regexp) continue;
+      // newer tw versions support multiple operands per operator
+      var operands = op.operands || [ { text: op.operand,
+                                        indirect: op.indirect } ];
+      for(var k = operands.length; k--;) {
+        if(!operands[k].indirect && !operands[k].variable) {
+          titles[operands[k].text] = true;
+        }
+      }
+    }
+  }
+  
+  return titles;
+  
+};
+
 utils.getEdgeTypeMatches = function(filter, titles) {
       
   if(!titles) {
@@ -337,13 +464,66 @@ utils.getEdgeTypeMatches = function(filter, titles) {
     titles = Object.keys(titles);
   }
   
-  return utils.getMatches(eTyFiltAutoPrefix + (filter || ""), titles);
+  var matches = utils.getMatches(eTyFiltAutoPrefix + (filter || ""), titles);
+  
+  return addEdgeSubtypes(matches, titles, filter);
   
 };
 
+/**
+ * An edge type matches a filter if its id or the id of one of its
+ * ancestors matches the filter. Types that are mentioned in the
+ * filter itself are only matched directly, so a subtype may be
+ * excluded while its parent is included.
+ */
 utils.isEdgeTypeMatch = function(title, filter) {
+  
+  var isMentioned = !!getMentionedTitles(filter)[title];
+  filter = eTyFiltAutoPrefix + (filter || "");
+  
+  if(utils.isMatch(title, filter)) return true;
+  if(isMentioned) return false;
+  
+  var type = $tm.indeces.allETy[title];
+  var ancestors = (type ? type.getAncestors() : []);
+  for(var i = ancestors.length; i--;) {
+    if(utils.isMatch(ancestors[i], filter)) return true;
+  }
+  
+  return false;
+  
+};
+
+/**
+ * Adds all subtypes of the matched edge types to the matches, so a
+ * filter that selects a type also selects its subtypes. Subtypes
+ * mentioned in the filter are left as they are.
+ * 
+ * @param {Array<string>} matches - The ids of the matched types.
+ * @param {Array<string>} titles - The ids of all candidate types.
+ * @param {string} [filter] - The filter that produced the matches.
+ * @return {Array<string>} The matches including the subtypes.
+ */
+var addEdgeSubtypes = function(matches, titles, filter) {
+  
+  var allETy = $tm.indeces.allETy;
+  var isMatch = utils.getArrayValuesAsHashmapKeys(matches);
+  var isMentioned = getMentionedTitles(filter);
+  
+  for(var i = 0, l = titles.length; i < l; i++) {
+    var type = allETy[titles[i]];
+    if(isMatch[titles[i]] || !type || isMentioned[titles[i]]) continue;
     
-  return utils.isMatch(title, eTyFiltAutoPrefix + (filter || ""));
+    var ancestors = type.getAncestors();
+    for(var j = ancestors.length; j--;) {
+      if(isMatch[ancestors[j]]) {
+        matches.push(titles[i]);
+        break;
+      }
+    }
+  }
+  
+  return matches;
   
 };
 
@@ -827,7 +1007,7 @@ utils.setField = function(tiddler, field, value) {
   }
   
   var tObj = new $tw.Tiddler(tObj, fields);
-  $tw.wiki.addTiddler(tObj);
+  utils.storeTiddler(tObj);
   
   return tObj;
 
@@ -843,12 +1023,28 @@ utils.clone = function(src, dest) {
 
 };
 
+/**
+ * Replaces the data of a data tiddler. Pendant to tw native
+ * {@code setTiddlerData()}, but the modification is journaled.
+ * 
+ * @param {TiddlerReference} tRef - The data tiddler.
+ * @param {Object} data - The data to store.
+ */
+utils.setTiddlerData = function(tRef, data) {
+
+  journalize(tRef);
+  $tw.wiki.setTiddlerData(tRef, data);
+
+};
+
 /**
  * Set the value of a data tiddler entry (index) to a given value
  */
 utils.setEntry = function(tiddler, prop, value) {
 
-  $tw.wiki.setText(utils.getTiddlerRef(tiddler), null, prop, value);
+  var tRef = utils.getTiddlerRef(tiddler);
+  journalize(tRef);
+  $tw.wiki.setText(tRef, null, prop, value);
 
 };
 
@@ -1273,7 +1469,7 @@ utils.mv = function(oldPrefix, newPrefix, isForce, isDelete) {
   
   for(var oldTRef in fromToMapper) { 
     utils.setField(oldTRef, "title", fromToMapper[oldTRef]);
-    if(isDelete) $tw.wiki.deleteTiddler(oldTRef);
+    if(isDelete) utils.removeTiddler(oldTRef);
   }
   
   return fromToMapper;
@@ -1402,7 +1598,7 @@ utils.deleteByPrefix = function(prefix, tiddlers) {
   var deletedTiddlers = [];
   for(var i = tiddlers.length; i--;) {
     if(utils.startsWith(tiddlers[i], prefix)) {
-      $tw.wiki.deleteTiddler(tiddlers[i]);
+      utils.removeTiddler(tiddlers[i]);
       deletedTiddlers.push(deletedTiddlers[i]);
     }
   }
@@ -1586,12 +1782,37 @@ utils.addTiddler = function(tiddler, isForce) {
                          $tw.wiki.getModificationFields(),
                          $tw.wiki.getCreationFields());
   
-  $tw.wiki.addTiddler(tObj);
+  utils.storeTiddler(tObj);
   
   return tObj;
   
 };
 
+/**
+ * Returns the metadata of an edge, i.e. all of its properties that
+ * are not reserved by TiddlyMap or vis (see
+ * `$tm.misc.reservedEdgeProperties`). Empty values are omitted.
+ * 
+ * @param {Object} edge - An edge or any object holding edge data,
+ *     e.g. a stored connection.
+ * @return {Object} The metadata.
+ */
+utils.getEdgeData = function(edge) {
+  
+  var isReserved = utils.getArrayValuesAsHashmapKeys(
+                     $tm.misc.reservedEdgeProperties);
+  var data = {};
+  
+  for(var key in edge) {
+    if(!isReserved[key] && edge[key] != null && edge[key] !== "") {
+      data[key] = edge[key];
+    }
+  }
+  
+  return data;
+  
+};
+
 utils.getSnapshotTitle = function(viewLabel, type) {
     
   return "Snapshot – "
@@ -96,6 +96,9 @@ ViewAbstraction.prototype._registerPaths = function(view, isCreate) {
   // the view's store (=local store) for node properties
   this.comp.map = this.comp.config + "/map";
   
+  // the view's store (=local store) for edge properties
+  this.comp.edgeMap = this.comp.config + "/map/edges";
+  
   // filter stores
   this.comp.nodeFilter = this.comp.config + "/filter/nodes";
   this.comp.edgeTypeFilter = this.comp.config + "/filter/edges";
@@ -178,7 +181,7 @@ ViewAbstraction.prototype._createView = function(options) {
   // an id is actually not used for view in TM, I just reserve it…
   fields.id = utils.genUUID();
   
-  $tw.wiki.addTiddler(new $tw.Tiddler(
+  utils.storeTiddler(new $tw.Tiddler(
     utils.getTiddler(this.comp.config), // in case we cloned the view
     fields
   ));
@@ -226,6 +229,7 @@ ViewAbstraction.prototype.rebuildCache = function(isForce) {
   
   this.config = this.getConfig(null, true);
   this.nodeData = this.getNodeData(null, true);
+  this.edgeData = this.getEdgeData(null, true);
   this.nodeFilter = this.getNodeFilter(null, true);
   this.edgeTypeFilter = this.getEdgeTypeFilter(null, true);
   
@@ -503,7 +507,7 @@ ViewAbstraction.prototype.setConfig = function() {
   }
   
   // save
-  $tw.wiki.addTiddler(new $tw.Tiddler(
+  utils.storeTiddler(new $tw.Tiddler(
     $tw.wiki.getTiddler(this.comp.config),
     this.config
   ));
@@ -734,6 +738,24 @@ ViewAbstraction.prototype.getNodeData = function(id, isRebuild) {
   
 };
 
+/**
+ * This method will return the edge data stored in the view.
+ * 
+ * @param {Id} [id] - The id of the edge whose data to return.
+ * @param {boolean} [isRebuild] - True if to rebuild the cache, false otherwise.
+ * @result {Hashmap<Id, Object>|Object} A Hashmap with edge data or
+ *     the data of a single edge if an id was specified.
+ */
+ViewAbstraction.prototype.getEdgeData = function(id, isRebuild) {
+  
+  var data = (!isRebuild && this.edgeData
+              ? this.edgeData
+              : utils.parseFieldData(this.comp.edgeMap, "text", {}));
+              
+  return (id ? data[id] : data);
+  
+};
+
 ViewAbstraction.prototype.equals = function(view) {
   
   if(view === this) return true;
@@ -793,6 +815,31 @@ ViewAbstraction.prototype.saveNodeData = function() {
  
 };
 
+/**
+ * Replaces the local style of an edge, i.e. a style that is only
+ * applied to the edge when it is displayed in this view.
+ * 
+ * @param {Id} id - The id of the edge.
+ * @param {Object|null} style - The style or null to remove any
+ *     local style.
+ */
+ViewAbstraction.prototype.saveEdgeStyle = function(id, style) {
+  
+  if(!id) return;
+  
+  var data = this.getEdgeData();
+  var isEmpty = (!style || !Object.keys(style).length);
+  
+  // we only set this to undefined as deletion would slow down V8
+  data[id] = (isEmpty ? undefined : style);
+  
+  utils.writeFieldData(this.comp.edgeMap, "text", data);
+  
+  // cache new values
+  this.edgeData = data;
+ 
+};
+
 ViewAbstraction.prototype.saveNodePosition = function(node) {
     
   if(node.id && node.x && node.y) {
@@ -20,6 +20,7 @@ exports.run = run;
 /*** Imports *******************************************************/
 
 var EdgeType        = require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
+var formats         = require("$:/plugins/felixhayashi/tiddlymap/js/formats");
 var utils           = require("$:/plugins/felixhayashi/tiddlymap/js/utils");
 var ViewAbstraction = require("$:/plugins/felixhayashi/tiddlymap/js/ViewAbstraction");
   
@@ -199,6 +200,23 @@ command.mergeFields = function() {
                        
 };
 
+/**
+ * Returns the graph of a view as mermaid flowchart text (see
+ * `formats.mermaid`). If no view is specified, the current tiddler
+ * is expected to be a view.
+ * 
+ * Use the macro as attribute to prevent the text from being
+ * wikified, e.g. `<pre><$text text=<<tmap "mermaid" "My view">>/></pre>`
+ */
+command.mermaid = function(view) {
+  
+  view = new ViewAbstraction(view || this.getVariable("currentTiddler"));
+  if(!view.exists()) return;
+  
+  return formats.mermaid.serialize(view);
+                       
+};
+
 command.option = function(path, unit) {
   
   var prop = $tm;
@@ -110,3 +110,42 @@
  * 
  * An object containing x, y properties.
  */
+
+/**
+ * @typedef {Object} ImportGraph
+ * 
+ * @property {Array.<Object>} nodes - The nodes to import. Each node
+ *     has an `id` that is only valid within the import, the `title`
+ *     of the tiddler to create or reuse and, optionally, `fields`
+ *     for newly created tiddlers and a position (`x`, `y`).
+ * @property {Array.<Object>} edges - The edges to import. Each edge
+ *     refers to the import ids of its nodes via `from` and `to` and
+ *     has a `type` id. Optionally, an edge carries a `style` used for
+ *     types that need to be created and edge metadata (see
+ *     {@link utils.getEdgeData}) in a `data` object.
+ * @property {boolean} [idsAreTmapIds] - True if the node ids are
+ *     TiddlyMap ids (`tmap.id`) so imported nodes may be matched to
+ *     existing tiddlers by id. Otherwise, the ids are only valid
+ *     within the import and nodes are matched by title.
+ * 
+ * A graph that is read from an external format by one of the parsers
+ * in `formats` and passed to {@link Adapter#importGraph}.
+ */
+
+/**
+ * @typedef {Object} CsvImport
+ * 
+ * @property {Array.<Object>} nodes - The rows of the node list, each
+ *     consisting of a `title` and the `fields` to set.
+ * @property {Array.<Object>} edges - The rows of the edge list, each
+ *     consisting of the titles `from` and `to`, a `type` id and
+ *     edge metadata (see {@link utils.getEdgeData}) in a `data`
+ *     object.
+ * @property {Array.<string>} invalid - Rows that cannot be imported.
+ * @property {Array.<string>} duplicates - Rows that were listed
+ *     twice.
+ * @property {Array.<string>} ignoredColumns - Columns of the edge
+ *     list that are neither `from`, `to`, `type` nor metadata.
+ * 
+ * An edge list and a node list read by `csvImporter`.
+ */
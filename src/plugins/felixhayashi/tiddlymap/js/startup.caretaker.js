@@ -30,6 +30,7 @@ var fixer           = require("$:/plugins/felixhayashi/tiddlymap/js/fixer");
 var Adapter         = require("$:/plugins/felixhayashi/tiddlymap/js/Adapter");
 var DialogManager   = require("$:/plugins/felixhayashi/tiddlymap/js/DialogManager");
 var CallbackManager = require("$:/plugins/felixhayashi/tiddlymap/js/CallbackManager");
+var UndoManager     = require("$:/plugins/felixhayashi/tiddlymap/js/UndoManager");
 var ViewAbstraction = require("$:/plugins/felixhayashi/tiddlymap/js/ViewAbstraction");
 var EdgeType        = require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
 var NodeType        = require("$:/plugins/felixhayashi/tiddlymap/js/NodeType");
@@ -86,6 +87,9 @@ function startup() {
   $tm.callbackManager = new CallbackManager();
   $tm.dialogManager = new DialogManager($tm.callbackManager);
   
+  // records labeled adapter transactions of the current session
+  $tm.undoManager = new UndoManager();
+  
   // all graphs need to register here. @see routineWalk()
   $tm.registry = [];
   window.setInterval(routineCheck, 5000);
@@ -281,8 +285,22 @@ var updateEdgeTypesIndeces = function(parent) {
 
 };
 
+/**
+ * Keeps the adjacency index of the adapter up to date (see
+ * {@link Adapter#getAdjacencyIndex}).
+ * 
+ * @param {Array<TiddlerReference>} [tRefs] - The tiddlers that
+ *     changed. If not stated, the whole index is dropped and
+ *     rebuilt the next time it is accessed.
+ */
 var updateAdjacencyList = function(tRefs) {
-
+  
+  if(tRefs) {
+    $tm.adapter.updateAdjacencyIndex(tRefs);
+  } else {
+    $tm.indeces.adjacency = null;
+  }
+  
 };
 
 /**
@@ -521,6 +539,7 @@ var updateTree = function() {
   updateGlobals();
   updateNodeTypesIndeces();
   updateEdgeTypesIndeces();
+  updateAdjacencyList();
   
 };
 
@@ -530,7 +549,17 @@ var registerChangeListener = function(callbackManager) {
   var rebuilders = {};
   rebuilders[$tm.path.options] = updateGlobals;
   rebuilders[$tm.path.nodeTypes] = updateNodeTypesIndeces;
-  rebuilders[$tm.path.edgeTypes] = updateEdgeTypesIndeces;
+  rebuilders[$tm.path.edgeTypes] = function(changedTiddlers) {
+    updateEdgeTypesIndeces();
+    // edges are indexed along with their type's style
+    var typeIds = [];
+    for(var tRef in changedTiddlers) {
+      if(utils.startsWith(tRef, $tm.path.edgeTypes)) {
+        typeIds.push(new EdgeType(tRef).id);
+      }
+    }
+    $tm.adapter.updateAdjacencyIndexForTypes(typeIds);
+  };
 
   $tw.wiki.addEventListener("change", function(changedTiddlers) {
     
@@ -540,6 +569,7 @@ var registerChangeListener = function(callbackManager) {
     callbackManager.handleChanges(changedTiddlers);
     
     var updates = { changedTiddlers: changedTiddlers };
+    var changedNodes = [];
     
     for(var tRef in changedTiddlers) {
       
@@ -549,11 +579,14 @@ var registerChangeListener = function(callbackManager) {
       if($tw.wiki.isSystemTiddler(tRef)) {
         handleSysTidChanges(tRef, tObj, updates, rebuilders);
       } else {
+        changedNodes.push(tRef);
         handleTidChanges(tRef, tObj, updates);
       }
       
     }
     
+    updateAdjacencyList(changedNodes);
+    
     dispatchUpdates(updates);
     
     // NOTE: changes will affect the next refresh cycle
@@ -572,7 +605,7 @@ var handleSysTidChanges = function(tRef, tObj, updates, rebuilders) {
   for(var prefix in rebuilders) {
     if(utils.startsWith(tRef, prefix) && !updates[prefix]) {
       $tm.logger("warn", "[System change]", prefix);
-      rebuilders[prefix]();
+      rebuilders[prefix](updates.changedTiddlers);
       updates[prefix] = true;
       return;
     }
@@ -654,7 +687,7 @@ var createMetaFile = function() {
   $tm.logger("warn", "Creating meta file");
   
   var plugin = $tw.wiki.getTiddler($tm.path.pluginRoot);
-  $tw.wiki.setTiddlerData($tm.ref.sysMeta, {
+  utils.setTiddlerData($tm.ref.sysMeta, {
     // the version originally installed
     originalVersion: plugin.fields.version,
     // the data structure in use corresponds to version x
@@ -64,9 +64,12 @@ function run(parent) {
     graphBar:           "$:/plugins/felixhayashi/tiddlymap/misc/advancedEditorBar",
     sysUserConf:        "$:/plugins/felixhayashi/tiddlymap/config/sys/user",
     visUserConf:        "$:/plugins/felixhayashi/tiddlymap/config/vis/user",
+    edgeStyleRules:     "$:/plugins/felixhayashi/tiddlymap/config/edgeStyleRules",
+    integrityReport:    "$:/temp/tmap/integrityReport",
     welcomeFlag:        "$:/plugins/felixhayashi/tiddlymap/flag/welcome",
     focusButton:        "$:/plugins/felixhayashi/tiddlymap/misc/focusButton",
     sysMeta:            "$:/plugins/felixhayashi/tiddlymap/misc/meta",
+    upgradeBackup:      "$:/plugins/felixhayashi/tiddlymap/misc/upgradeBackup",
     liveTab:            "$:/plugins/felixhayashi/tiddlymap/hook/liveTab",
     mainEditor:         "$:/plugins/felixhayashi/tiddlymap/hook/editor",
     sidebarBreakpoint:  "$:/themes/tiddlywiki/vanilla/metrics/sidebarbreakpoint"
@@ -80,10 +83,37 @@ function run(parent) {
     defaultViewLabel: "Default",
     mainEditorId: "main_editor",
     arrows: { "in": "⇦", "out": "➡", "bi": "⇄" },
+    // used to colour the connected components of a graph
+    componentColours: [
+      "#97C2FC", "#FFA807", "#7BE141", "#EB7DF4", "#FB7E81",
+      "#AD85E4", "#FFFF00", "#6E6EFD", "#C2FABC", "#FFC0CB"
+    ],
     magicETyNamespaces: [
       "tw-list",
       "tw-field",
       "tw-filter"
+    ],
+    // well-known edge metadata; offered by the edge editor and used
+    // as columns by imports and exports. Tmap edges may hold any other
+    // metadata as well (see reservedEdgeProperties).
+    edgeDataFields: [
+      "customLabel",
+      "weight",
+      "confidence",
+      "source",
+      "note",
+      "tiddler"
+    ],
+    // edge properties that are set by TiddlyMap or vis and therefore
+    // never persisted as edge metadata
+    reservedEdgeProperties: [
+      "id", "from", "to", "type", "label",
+      // vis styles
+      "arrows", "arrowStrikethrough", "background", "chosen", "color",
+      "dashes", "endPointOffset", "font", "hidden", "hoverWidth",
+      "labelHighlightBold", "length", "physics", "scaling",
+      "selectionWidth", "selfReferenceSize", "shadow", "smooth",
+      "title", "value", "width", "widthConstraint"
     ]
   };
 
@@ -113,6 +143,17 @@ function run(parent) {
       editorMenuBar: {
         showNeighScopeButton: "true",
         showScreenshotButton: "true"
+      },
+      // used by the rdf export; see formats.turtle
+      rdf: {
+        base: "http://example.org/wiki/",
+        prefixes: ": http://example.org/wiki/type/\n"
+                  + "tmap: http://example.org/wiki/type/\n"
+                  + "tw-list: http://example.org/wiki/list/\n"
+                  + "tw-field: http://example.org/wiki/field/\n"
+                  + "tw-body: http://example.org/wiki/body/\n"
+                  + "foaf: http://xmlns.com/foaf/0.1/",
+        fields: "caption tags"
       }
     }
   };
@@ -26,10 +26,15 @@ exports.startup = function() {
 
 /*** Imports *******************************************************/
 
-var NodeType   = require("$:/plugins/felixhayashi/tiddlymap/js/NodeType");
-var EdgeType   = require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
-var utils      = require("$:/plugins/felixhayashi/tiddlymap/js/utils");
-var visDefConf = require("$:/plugins/felixhayashi/tiddlymap/js/config/vis");
+var NodeType        = require("$:/plugins/felixhayashi/tiddlymap/js/NodeType");
+var EdgeType        = require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
+var ViewAbstraction = require("$:/plugins/felixhayashi/tiddlymap/js/ViewAbstraction");
+var checker         = require("$:/plugins/felixhayashi/tiddlymap/js/integrityChecker");
+var csvImporter     = require("$:/plugins/felixhayashi/tiddlymap/js/csvImporter");
+var fixer           = require("$:/plugins/felixhayashi/tiddlymap/js/fixer");
+var formats         = require("$:/plugins/felixhayashi/tiddlymap/js/formats");
+var utils           = require("$:/plugins/felixhayashi/tiddlymap/js/utils");
+var visDefConf      = require("$:/plugins/felixhayashi/tiddlymap/js/config/vis");
 
 /*** Code **********************************************************/
 
@@ -44,14 +49,25 @@ function GlobalListener() {
   // add handlers to the root widget to make them available from everywhere
   utils.addTWlisteners({ 
     "tmap:tm-remove-edge": this.handleRemoveEdge,
+    "tmap:tm-undo": this.handleUndo,
+    "tmap:tm-redo": this.handleRedo,
     "tmap:tm-load-type-form": this.handleLoadTypeForm,
     "tmap:tm-save-type-form": this.handleSaveTypeForm,
     "tmap:tm-create-type": this.handleCreateType,
     "tmap:tm-create-edge": this.handleCreateEdge,
+    "tmap:tm-check-edge-constraints": this.handleCheckEdgeConstraints,
+    "tmap:tm-edit-edge": this.handleEditEdge,
+    "tmap:tm-create-edge-tiddler": this.handleCreateEdgeTiddler,
     "tmap:tm-suppress-dialog": this.handleSuppressDialog,
     "tmap:tm-generate-widget": this.handleGenerateWidget,
     "tmap:tm-download-graph": this.handleDownloadGraph,
+    "tmap:tm-import-graph": this.handleImportGraph,
+    "tmap:tm-outline-to-graph": this.handleOutlineToGraph,
+    "tmap:tm-import-csv": this.handleImportCsv,
     "tmap:tm-configure-system": this.handleConfigureSystem,
+    "tmap:tm-check-graph": this.handleCheckGraph,
+    "tmap:tm-repair-graph": this.handleRepairGraph,
+    "tmap:tm-restore-upgrade-backup": this.handleRestoreUpgradeBackup,
     "tmap:tm-manage-edge-types": this.handleOpenTypeManager,
     "tmap:tm-manage-node-types": this.handleOpenTypeManager,
     "tmap:tm-cancel-dialog": this.handleCancelDialog,
@@ -84,8 +100,8 @@ GlobalListener.prototype.handleClearTiddler = function(event) {
     cloneFields[fieldName] = originalFields[fieldName];
   }
   
-  $tw.wiki.deleteTiddler(params.title);
-  $tw.wiki.addTiddler(new $tw.Tiddler(cloneFields));
+  utils.removeTiddler(params.title);
+  utils.storeTiddler(new $tw.Tiddler(cloneFields));
   
 };
 
@@ -97,7 +113,7 @@ GlobalListener.prototype.handleMixTiddlers = function(event) {
   var tiddlers = $tw.utils.parseStringArray(params.tiddlers);
   var tObj = utils.getMergedTiddlers(tiddlers, params.output);
                                      
-  $tw.wiki.addTiddler(tObj);
+  utils.storeTiddler(tObj);
   
 };
 
@@ -119,27 +135,391 @@ GlobalListener.prototype.handleSuppressDialog = function(event) {
   
 };
 
+/**
+ * Downloads the graph of a view.
+ * 
+ * @param {Object} event - An event whose `paramObject` contains the
+ *     `view` and, optionally, the `format` (see `formats`); the
+ *     default format is json. The rdf formats export the whole wiki
+ *     if no view is given.
+ */
 GlobalListener.prototype.handleDownloadGraph = function(event) {
 
-  var graph = $tm.adapter.getGraph({ view: event.paramObject.view });  
+  var params = event.paramObject;
+  var format = formats[params.format || "json"];
   
-  graph.nodes = utils.convert(graph.nodes, "array");
-  graph.edges = utils.convert(graph.edges, "array");
+  if(!format || !format.serialize) {
+    $tm.notify("Unknown format \"" + params.format + "\"");
+    return;
+  }
   
   var tRef = "$:/temp/tmap/export";
-
-  utils.setField(tRef, "text", JSON.stringify(graph, null, 2));
+  
+  // plain text prevents the content from being wikified on download
+  $tw.wiki.addTiddler(new $tw.Tiddler({
+    title: tRef,
+    type: "text/plain",
+    text: format.serialize(params.view)
+  }));
     
   $tw.rootWidget.dispatchEvent({
     type: "tm-download-file",
     param: tRef,
     paramObject: {
-      filename: event.paramObject.view + ".json"
+      filename: (params.view || "wiki") + "." + format.extension
     }
   });
   
 };
 
+/**
+ * Imports a graph from one of the formats that provide a parser
+ * (see `formats`), e.g. a JSON file created via
+ * `tmap:tm-download-graph`. The graph is read from the `tiddler` or
+ * the `text` param. If neither is given, a dialog is opened that
+ * asks the user for the graph.
+ * 
+ * @param {Object} event - An event whose `paramObject` may contain
+ *     the `format` (defaults to "json"), the `tiddler` or `text`
+ *     holding the graph, a `view` to add the nodes to or the name of
+ *     a view to create (`newView`), the conflict strategy
+ *     `onConflict` (see {@link Adapter#importGraph}) and, for
+ *     outlines, the `edgeType` connecting parents and children.
+ */
+GlobalListener.prototype.handleImportGraph = function(event) {
+  
+  var params = event.paramObject || {};
+  
+  if(params.tiddler || params.text) {
+    this._importGraph(params.format,
+                      params.text || utils.getText(params.tiddler),
+                      params);
+    return;
+  }
+  
+  var parseable = [];
+  for(var name in formats) {
+    if(formats[name].parse) {
+      parseable.push("[[" + name + "|" + formats[name].label + "]]");
+    }
+  }
+  
+  var args = {
+    view: params.view,
+    formats: parseable.join(" "),
+    dialog: {
+      preselects: {
+        format: params.format || "json",
+        onConflict: "merge",
+        addToView: "true"
+      }
+    }
+  };
+  
+  $tm.dialogManager.open("importGraph", args, function(isConfirmed, outTObj) {
+    
+    if(!isConfirmed) return;
+    
+    var f = outTObj.fields;
+    var text = (f.source ? utils.getText(f.source) : f.text);
+    
+    this._importGraph(f.format, text, {
+      view: (utils.isTrue(f.addToView, false) ? params.view : null),
+      newView: f.newView,
+      onConflict: f.onConflict,
+      edgeType: f.edgeType
+    });
+    
+  }.bind(this));
+  
+};
+
+/**
+ * Turns an indented list into tiddlers that are linked from parent
+ * to child (see `formats.outline`) and adds them to the view, laid
+ * out as a tree. Existing tiddlers are reused by title.
+ * 
+ * @param {Object} event - An event whose `paramObject` contains the
+ *     `view` and may contain the `tiddler` or `text` holding the
+ *     list and the `edgeType`. If neither `tiddler` nor `text` is
+ *     given, a dialog is opened that asks the user for the list.
+ */
+GlobalListener.prototype.handleOutlineToGraph = function(event) {
+  
+  var params = event.paramObject || {};
+  
+  if(params.tiddler || params.text) {
+    this._importGraph("outline",
+                      params.text || utils.getText(params.tiddler),
+                      params);
+    return;
+  }
+  
+  var args = { view: params.view };
+  
+  $tm.dialogManager.open("outlineToGraph", args, function(isConfirmed, outTObj) {
+    
+    if(!isConfirmed) return;
+    
+    var f = outTObj.fields;
+    var text = (f.source ? utils.getText(f.source) : f.text);
+    
+    this._importGraph("outline", text, {
+      view: params.view,
+      edgeType: f.edgeType
+    });
+    
+  }.bind(this));
+  
+};
+
+/**
+ * Parses the text and imports the resulting graph.
+ * 
+ * @private
+ * @param {string} [format="json"] - The name of the format.
+ * @param {string} text - The graph in the given format.
+ * @param {Object} [options] - The `view`, `newView`, `onConflict`
+ *     and `edgeType` options of the `tmap:tm-import-graph` message.
+ */
+GlobalListener.prototype._importGraph = function(format, text, options) {
+  
+  format = format || "json";
+  options = options || {};
+  
+  if(!formats[format] || !formats[format].parse) {
+    $tm.notify("Unknown format \"" + format + "\"");
+    return;
+  }
+  
+  if(!text) {
+    $tm.notify("Nothing to import");
+    return;
+  }
+  
+  if(options.newView) {
+    if(utils.hasSubString(options.newView, "/")) {
+      $tm.notify("A view name must not contain slashes");
+      return;
+    }
+    if(new ViewAbstraction(options.newView).exists()) {
+      $tm.notify("View \"" + options.newView + "\" already exists");
+      return;
+    }
+  }
+  
+  // outlines are connected by the first hierarchy edge-type of the
+  // target view if no edge-type has been chosen
+  var edgeType = options.edgeType;
+  var targetView = new ViewAbstraction(options.view);
+  if(!edgeType && targetView.exists()) {
+    edgeType = Object.keys(targetView.getHierarchyEdgeTypes())[0];
+  }
+  
+  try {
+    var graph = formats[format].parse(text, { edgeType: edgeType });
+  } catch(err) {
+    if(!(err instanceof SyntaxError)) throw err;
+    $tm.logger("warn", "Import failed", err);
+    $tm.notify("Import failed: " + err.message);
+    return;
+  }
+  
+  var stats = $tm.adapter.transaction(function() {
+    
+    var view = options.view;
+    if(options.newView) {
+      view = new ViewAbstraction(options.newView, { isCreate: true });
+    }
+    
+    return this.importGraph(graph, {
+      view: view,
+      onConflict: options.onConflict
+    });
+    
+  }, "Import graph");
+  
+  $tm.notify("Imported " + stats.nodes + " nodes and "
+             + stats.edges + " edges"
+             + (stats.skipped ? ", skipped " + stats.skipped : "")
+             + (stats.existing
+                ? ", " + stats.existing + " edges already existed"
+                : ""));
+  
+  if(stats.violations.length) {
+    this._showEdgeConstraintViolations(stats.violations);
+  }
+  
+};
+
+/**
+ * Asks the user for a csv edge list and, optionally, a node list
+ * (see `csvImporter`). Before the csv is imported, a preview is
+ * shown that lists unknown titles, unknown types and duplicates.
+ * 
+ * @param {Object} event - An event whose `paramObject` may contain
+ *     a `view` that is preselected as target view.
+ */
+GlobalListener.prototype.handleImportCsv = function(event) {
+  
+  var params = event.paramObject || {};
+  var args = {
+    dialog: {
+      preselects: {
+        view: params.view || ""
+      }
+    }
+  };
+  
+  $tm.dialogManager.open("importCsv", args, function(isConfirmed, outTObj) {
+    
+    if(!isConfirmed) return;
+    
+    var f = outTObj.fields;
+    var csv = csvImporter.read(
+      (f.edgeSource ? utils.getText(f.edgeSource) : f.edges),
+      (f.nodeSource ? utils.getText(f.nodeSource) : f.nodes)
+    );
+    
+    if(!csv.edges.length && !csv.nodes.length) {
+      $tm.notify("Nothing to import");
+      return;
+    }
+    
+    this._previewCsvImport(csv, f.view);
+    
+  }.bind(this));
+  
+};
+
+/**
+ * Shows what will happen when the csv is imported and imports it
+ * if the user confirms.
+ * 
+ * @private
+ * @param {CsvImport} csv - The csv read by `csvImporter`.
+ * @param {string} [view] - A view to add the imported nodes to.
+ */
+GlobalListener.prototype._previewCsvImport = function(csv, view) {
+  
+  var preview = csvImporter.preview(csv);
+  var args = {
+    view: view,
+    edgeCount: "" + csv.edges.length,
+    nodeCount: "" + csv.nodes.length
+  };
+  
+  var lists = {
+    unknownTitles: preview.unknownTitles,
+    unknownTypes: preview.unknownTypes,
+    duplicates: preview.duplicates,
+    invalid: csv.invalid,
+    ignoredColumns: csv.ignoredColumns
+  };
+  
+  for(var name in lists) {
+    args[name] = $tw.utils.stringifyList(lists[name]);
+    args[name + "Count"] = "" + lists[name].length;
+  }
+  
+  $tm.dialogManager.open("importCsvPreview", args, function(isConfirmed) {
+    
+    if(!isConfirmed) return;
+    
+    var stats = csvImporter.run(csv, view);
+    
+    $tm.notify("Created " + stats.created + " tiddlers, updated "
+               + stats.updated + " tiddlers and inserted "
+               + stats.edges + " edges");
+    
+    if(stats.violations.length) {
+      this._showEdgeConstraintViolations(stats.violations);
+    }
+    
+  }.bind(this));
+  
+};
+
+/**
+ * Scans the graph for inconsistencies (see `integrityChecker`) and
+ * writes a report into `$tm.ref.integrityReport`. The report holds
+ * the number of problems and a description of the first problems
+ * per category. The selection of categories to repair is kept.
+ */
+GlobalListener.prototype.handleCheckGraph = function() {
+  
+  var report = checker.check();
+  var maxListed = 20;
+  var fields = {
+    title: $tm.ref.integrityReport,
+    categories: $tw.utils.stringifyList(Object.keys(report))
+  };
+  
+  for(var name in report) {
+    
+    var problems = report[name];
+    var descr = [];
+    for(var i = 0, l = Math.min(problems.length, maxListed); i < l; i++) {
+      descr.push(problems[i].descr);
+    }
+    if(problems.length > maxListed) {
+      descr.push("… and " + (problems.length - maxListed) + " more");
+    }
+    
+    fields["label." + name] = checker.categories[name].label;
+    fields["count." + name] = "" + problems.length;
+    fields["problems." + name] = $tw.utils.stringifyList(descr);
+    
+  }
+  
+  $tw.wiki.addTiddler(new $tw.Tiddler(
+    utils.getTiddler($tm.ref.integrityReport),
+    fields
+  ));
+  
+};
+
+/**
+ * Repairs all categories that are selected in the integrity report
+ * and renews the report afterwards.
+ */
+GlobalListener.prototype.handleRepairGraph = function() {
+  
+  var tObj = utils.getTiddler($tm.ref.integrityReport);
+  if(!tObj) return;
+  
+  var names = [];
+  for(var name in checker.categories) {
+    if(utils.isTrue(tObj.fields["repair." + name], false)) {
+      names.push(name);
+    }
+  }
+  
+  if(!names.length) {
+    $tm.notify("Please select what to repair");
+    return;
+  }
+  
+  var count = checker.repair(names);
+  $tm.notify("Repaired " + count + " problem" + (count === 1 ? "" : "s"));
+  
+  this.handleCheckGraph();
+  
+};
+
+/**
+ * Restores the tiddlers the fixer backed up before the last upgrade
+ * of the data structure.
+ */
+GlobalListener.prototype.handleRestoreUpgradeBackup = function() {
+  
+  var count = fixer.restoreBackup();
+  $tm.notify(count < 0
+             ? "No backup found"
+             : "Restored " + count + " tiddlers from backup");
+  
+};
+
 GlobalListener.prototype.handleConfigureSystem = function() {
 
   var allTiddlers = $tm.adapter.getAllPotentialNodes();
@@ -159,6 +539,8 @@ GlobalListener.prototype.handleConfigureSystem = function() {
         "liveTab": "" + hasLiveTab,
         "vis-inherited": JSON.stringify(visDefConf),
         "config.vis": utils.getText($tm.ref.visUserConf),
+        "config.edgeStyleRules": (utils.getText($tm.ref.edgeStyleRules)
+                                  || "[]"),
         "config.sys": $tm.config.sys
       }
     }
@@ -174,14 +556,14 @@ GlobalListener.prototype.handleConfigureSystem = function() {
                                              true);
                                              
     // CAREFUL: this is a data tiddler!
-    $tw.wiki.setTiddlerData($tm.ref.sysUserConf, config);
+    utils.setTiddlerData($tm.ref.sysUserConf, config);
 
     // show or hide the live tab; to hide the live tab, we override
     // the shadow tiddler; to show it, we remove the overlay again.
     if(utils.isTrue(outTObj.fields.liveTab, false)) {
       utils.setField($tm.ref.liveTab, "tags", "$:/tags/SideBar");
     } else {
-      $tw.wiki.deleteTiddler($tm.ref.liveTab);
+      utils.removeTiddler($tm.ref.liveTab);
     }
     
     // tw doesn't translate the json to an object so this is
@@ -190,6 +572,12 @@ GlobalListener.prototype.handleConfigureSystem = function() {
                    "text",
                    outTObj.fields["config.vis"]);
             
+    var rules = outTObj.fields["config.edgeStyleRules"];
+    if(Array.isArray(utils.parseJSON(rules))) {
+      utils.setField($tm.ref.edgeStyleRules, "text", rules);
+    } else {
+      $tm.notify("Edge style rules need to be a json array");
+    }
 
 
   }.bind(this));
@@ -213,7 +601,45 @@ GlobalListener.prototype.handleGenerateWidget = function(event) {
 
 GlobalListener.prototype.handleRemoveEdge = function(event) {
   
-  $tm.adapter.deleteEdge(event.paramObject);
+  $tm.adapter.transaction(function() {
+    this.deleteEdge(event.paramObject);
+  }, "Remove edge");
+  
+};
+
+/**
+ * Reverts the last modification recorded by the undo manager.
+ */
+GlobalListener.prototype.handleUndo = function() {
+  
+  var step = $tm.undoManager.undo();
+  
+  if(!step) {
+    $tm.notify("Nothing to undo");
+  } else if(!step.isApplied) {
+    $tm.notify("Cannot undo \"" + step.label + "\" since the tiddlers"
+               + " have been modified in the meantime");
+  } else {
+    $tm.notify("Undone: " + step.label);
+  }
+  
+};
+
+/**
+ * Performs the last undone modification again.
+ */
+GlobalListener.prototype.handleRedo = function() {
+  
+  var step = $tm.undoManager.redo();
+  
+  if(!step) {
+    $tm.notify("Nothing to redo");
+  } else if(!step.isApplied) {
+    $tm.notify("Cannot redo \"" + step.label + "\" since the tiddlers"
+               + " have been modified in the meantime");
+  } else {
+    $tm.notify("Redone: " + step.label);
+  }
   
 };
 
@@ -225,26 +651,208 @@ GlobalListener.prototype.handleCreateEdge = function(event) {
   
   if(!from || !to) return;
   
+  var type = new EdgeType(event.paramObject.label);
+  if(!type.allows(from, to)) {
+    $tm.notify("Edge type \"" + type.id + "\" doesn't allow this connection");
+    return;
+  }
+  
   if((utils.tiddlerExists(from) && utils.tiddlerExists(to)) || isForce) {
 
-    // will not override any existing tiddlers…
-    utils.addTiddler(to);
-    utils.addTiddler(from);
+    var isInserted = $tm.adapter.transaction(function() {
+      
+      // will not override any existing tiddlers…
+      utils.addTiddler(to);
+      utils.addTiddler(from);
 
-    var edge = {
-      from: $tm.adapter.makeNode(from).id,
-      to: $tm.adapter.makeNode(to).id,
-      type: event.paramObject.label,
-      id: event.paramObject.id
-    }
+      var edge = {
+        from: this.makeNode(from).id,
+        to: this.makeNode(to).id,
+        type: event.paramObject.label,
+        id: event.paramObject.id
+      }
+      
+      return !!this.insertEdge(edge);
+      
+    }, "Insert edge");
     
-    $tm.adapter.insertEdge(edge);
-    $tm.notify("Edge inserted");
+    if(isInserted) $tm.notify("Edge inserted");
     
   }
    
 };
 
+/**
+ * Opens a report that lists all edges violating the constraints
+ * of their edge types (see {@link Adapter#getEdgeConstraintViolations}).
+ */
+GlobalListener.prototype.handleCheckEdgeConstraints = function() {
+  
+  var violations = $tm.adapter.getEdgeConstraintViolations();
+  this._showEdgeConstraintViolations(violations);
+  
+};
+
+/**
+ * Opens a report that lists the given edge constraint violations.
+ * Besides the reasons of {@link Adapter#getEdgeConstraintViolations},
+ * the reason "cardinality" denotes an edge that was skipped during
+ * an import because its source already has the maximal number of
+ * edges of this type.
+ * 
+ * @private
+ * @param {Array<Object>} violations - A list of violations, each
+ *     consisting of the `edge`, its `type` and the `reason`.
+ */
+GlobalListener.prototype._showEdgeConstraintViolations = function(violations) {
+  
+  var tById = $tm.indeces.tById;
+  var reasons = {
+    domain: "source not allowed",
+    range: "target not allowed",
+    cardinality: "too many edges of this type, skipped"
+  };
+  
+  // each violation is stored in a row tiddler that is listed by
+  // the dialog; this way no title is ever parsed as wikitext
+  var prefix = $tm.path.tempRoot + "/edgeConstraintViolations";
+  utils.deleteByPrefix(prefix);
+  
+  var rows = [];
+  for(var i = 0, l = violations.length; i < l; i++) {
+    var edge = violations[i].edge;
+    var tRef = prefix + "/" + i;
+    $tw.wiki.addTiddler(new $tw.Tiddler({
+      title: tRef,
+      from: tById[edge.from],
+      type: violations[i].type.id,
+      to: tById[edge.to],
+      problem: reasons[violations[i].reason]
+    }));
+    rows.push(tRef);
+  }
+  
+  var args = {
+    count: "" + violations.length,
+    violations: $tw.utils.stringifyList(rows)
+  };
+  
+  $tm.dialogManager.open("edgeConstraintViolations", args);
+  
+};
+
+/**
+ * Opens a dialog to edit the well-known metadata of a single edge
+ * (see `$tm.misc.edgeDataFields`); any other metadata of the edge is
+ * kept. Only edges that are stored by TiddlyMap itself may hold
+ * metadata.
+ * 
+ * @param {Object} event - An event whose `paramObject` contains the
+ *     `id` of the edge and, optionally, the id of its `from` node.
+ */
+GlobalListener.prototype.handleEditEdge = function(event) {
+  
+  var params = event.paramObject || {};
+  var edge = $tm.adapter.selectEdgeById(params.id, params.from);
+  
+  if(!edge) return;
+  
+  if(!$tm.adapter.canHoldEdgeData(edge)) {
+    $tm.notify("Only TiddlyMap edges can hold additional data");
+    return;
+  }
+  
+  var type = $tm.indeces.allETy[edge.type] || new EdgeType(edge.type);
+  
+  var tById = $tm.indeces.tById;
+  var dataFields = $tm.misc.edgeDataFields;
+  var preselects = {};
+  for(var i = dataFields.length; i--;) {
+    preselects[dataFields[i]] = edge[dataFields[i]] || "";
+  }
+  
+  var view = new ViewAbstraction(params.view);
+  if(view.exists()) {
+    var localStyle = view.getEdgeData(edge.id);
+    preselects["view-style"] = (localStyle ? JSON.stringify(localStyle) : "");
+  }
+  
+  var args = {
+    view: (view.exists() ? view.getLabel() : ""),
+    fromLabel: tById[edge.from],
+    toLabel: tById[edge.to],
+    type: type.id,
+    typeLabel: type.getLabel(),
+    dialog: {
+      preselects: preselects
+    }
+  };
+  
+  $tm.dialogManager.open("editEdge", args, function(isConfirmed, outTObj) {
+    
+    if(!isConfirmed) return;
+    
+    for(var i = dataFields.length; i--;) {
+      edge[dataFields[i]] = outTObj.fields[dataFields[i]];
+    }
+    
+    // inserting an edge with an existing id overrides the edge
+    if(!$tm.adapter.insertEdge(edge)) {
+      // on a cardinality conflict, the user has already been asked
+      // whether to replace an existing edge instead
+      if(!$tm.adapter.getCardinalityConflicts(edge)) {
+        $tm.notify("The edge data could not be saved");
+      }
+      return;
+    }
+    
+    if(view.exists()) {
+      var style = outTObj.fields["view-style"];
+      var parsedStyle = utils.parseJSON(style);
+      if(!style) {
+        view.saveEdgeStyle(edge.id, null);
+      } else if(parsedStyle && typeof parsedStyle === "object") {
+        view.saveEdgeStyle(edge.id, parsedStyle);
+      } else {
+        $tm.notify("The local style needs to be a json object");
+      }
+    }
+    
+    $tm.notify("Saved edge data");
+    
+  });
+  
+};
+
+/**
+ * Creates the edge tiddler of an edge, i.e. a tiddler that holds
+ * a note on this particular relationship, unless it already exists.
+ * 
+ * @param {Object} event - An event whose `paramObject` contains the
+ *     `id` of the edge and, optionally, the id of its `from` node.
+ */
+GlobalListener.prototype.handleCreateEdgeTiddler = function(event) {
+  
+  var params = event.paramObject || {};
+  var edge = $tm.adapter.selectEdgeById(params.id, params.from);
+  
+  if(!edge) return;
+  
+  if(!$tm.adapter.canHoldEdgeData(edge)) {
+    $tm.notify("Only TiddlyMap edges can hold additional data");
+    return;
+  }
+  
+  var tRef = $tm.adapter.makeEdgeTiddler(edge);
+  
+  if(tRef) {
+    $tm.notify("Created edge tiddler \"" + tRef + "\"");
+  } else {
+    $tm.notify("The edge tiddler could not be created");
+  }
+  
+};
+
 GlobalListener.prototype.handleOpenTypeManager = function(event) {
     
   if(!event.paramObject) event.paramObject = {};
@@ -377,7 +985,7 @@ GlobalListener.prototype.saveType = function(mode, type, dialogOutput) {
       var newType = new NodeType(newId);
       newType.load(type);
       newType.save();
-      $tw.wiki.deleteTiddler(type.fullPath);
+      utils.removeTiddler(type.fullPath);
       
     }
     
@@ -87,6 +87,12 @@ EdgeListWidget.prototype.execute = function() {
     });
   }
   
+  // violations concern the node itself and are listed first
+  var violations = this.getViolationsMessage(nodes[0]);
+  if(violations.length) {
+    entries = violations.concat(entries);
+  }
+  
   if(!entries.length) {
     this.wasEmpty = true;
     entries = this.getEmptyMessage();
@@ -110,6 +116,46 @@ EdgeListWidget.prototype.getEmptyMessage = function() {
   
 };
 
+/**
+ * If the node violates the cardinality of an edge type, the
+ * `violationsMessage` attribute is rendered with the variable
+ * `violations` holding a description of the violations.
+ * 
+ * @param {TiddlerReference} tRef - The node's tiddler.
+ * @return {Array<Object>} A parse tree or an empty array.
+ */
+EdgeListWidget.prototype.getViolationsMessage = function(tRef) {
+  
+  var message = this.getAttribute("violationsMessage");
+  if(!message) return [];
+  
+  var violations = $tm.adapter.getCardinalityViolations(tRef);
+  if(!violations.length) return [];
+  
+  var descr = [];
+  for(var i = 0, l = violations.length; i < l; i++) {
+    var v = violations[i];
+    descr.push("\"" + v.type.id + "\": " + v.count + " edge(s), "
+               + (v.reason === "max"
+                  ? "at most " + v.limit + " allowed"
+                  : "at least " + v.limit + " required"));
+  }
+  
+  var parser = this.wiki.parseText("text/vnd.tiddlywiki",
+                                   message,
+                                   { parseAsInline: true });
+  
+  return [{
+    type: "set",
+    attributes: {
+      name: { type: "string", value: "violations" },
+      value: { type: "string", value: descr.join("; ") }
+    },
+    children: (parser ? parser.tree : [])
+  }];
+  
+};
+
 EdgeListWidget.prototype.refresh = function(changedTiddlers) {
   
   var changedAttributes = this.computeAttributes();
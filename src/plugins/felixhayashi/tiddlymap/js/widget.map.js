@@ -26,6 +26,7 @@ var ViewAbstraction = require("$:/plugins/felixhayashi/tiddlymap/js/ViewAbstract
 var EdgeType        = require("$:/plugins/felixhayashi/tiddlymap/js/EdgeType");
 var NodeType        = require("$:/plugins/felixhayashi/tiddlymap/js/NodeType");
 var Popup           = require("$:/plugins/felixhayashi/tiddlymap/js/Popup");
+var SvgRenderer     = require("$:/plugins/felixhayashi/tiddlymap/js/SvgRenderer");
 var vis             = require("$:/plugins/felixhayashi/vis/vis.js");
 var Widget          = require("$:/core/modules/widgets/widget.js").widget;
 
@@ -83,14 +84,17 @@ function MapWidget(parseTreeNode, options) {
       "tmap:tm-edit-view": this.handleEditView,
       "tmap:tm-store-position": this.handleStorePositions,
       "tmap:tm-generate-widget": this.handleGenerateWidget,
-      "tmap:tm-save-canvas": this.handleSaveCanvas
+      "tmap:tm-save-canvas": this.handleSaveCanvas,
+      "tmap:tm-save-high-res-image": this.handleSaveHighResImage,
+      "tmap:tm-export-html": this.handleExportHtml
     }, this, this);
   }
   
   // register listeners that are available in any case
   utils.addTWlisteners({
     "tmap:tm-focus-node": this.handleFocusNode,
-    "tmap:tm-reset-focus": this.repaintGraph
+    "tmap:tm-find-path": this.handleFindPath,
+    "tmap:tm-reset-focus": this.handleResetFocus
   }, this, this);
   
   // Visjs handlers
@@ -155,12 +159,22 @@ MapWidget.prototype = Object.create(Widget.prototype);
 MapWidget.prototype.handleConnectionEvent = function(edge, callback) {
 
   var eTyFilter = this.view.getEdgeTypeFilter();
+  var fromTRef = $tm.indeces.tById[edge.from];
+  var toTRef = $tm.indeces.tById[edge.to];
+  
+  // only offer types whose constraints allow this connection
+  var validTypes = [];
+  var allETy = $tm.indeces.allETy;
+  for(var id in allETy) {
+    if(allETy[id].allows(fromTRef, toTRef)) validTypes.push(id);
+  }
 
   var param = {
     fromLabel: $tm.adapter.selectNodeById(edge.from).label,
     toLabel: $tm.adapter.selectNodeById(edge.to).label,
     viewNS: this.view.getConfig("edge_type_namespace"),
-    eTyFilter: eTyFilter.raw
+    eTyFilter: eTyFilter.raw,
+    validEdgeTypes: $tw.utils.stringifyList(validTypes)
   };
   
   var name = "getEdgeType";
@@ -175,13 +189,24 @@ MapWidget.prototype.handleConnectionEvent = function(edge, callback) {
       };
       
       var type = new EdgeType(type, null, options);
-                      
-      // persist the type if it doesn't exist
-      if(!type.exists()) type.save();
       
-      // add type to edge
-      edge.type = type.id;
-      $tm.adapter.insertEdge(edge);
+      if(!type.allows(fromTRef, toTRef)) {
+        $tm.notify("Edge type \"" + type.id
+                   + "\" doesn't allow this connection");
+        if(typeof callback === "function") callback(false);
+        return;
+      }
+      
+      $tm.adapter.transaction(function() {
+        
+        // persist the type if it doesn't exist
+        if(!type.exists()) type.save();
+        
+        // add type to edge
+        edge.type = type.id;
+        this.insertEdge(edge);
+        
+      }, "Insert edge");
       
       if(!this.view.isEdgeTypeVisible(type.id)) {
         
@@ -859,6 +884,9 @@ MapWidget.prototype.rebuildGraphData = function(options) {
   this.graphData.nodesById = nodes;
   this.graphData.edgesById = edges;
   
+  // the data has been replaced so there is nothing to restore
+  this.dimmedElements = null;
+  
   // TODO: that's a performance killer. this should be loaded when
   // the search is actually used!
   // update: Careful when refactoring, some modules are using this…
@@ -1026,6 +1054,14 @@ MapWidget.prototype.handleCanvasKeyup = (function() {
       } else if(ev.keyCode === 86) { // v
         this.handlePasteNodesFromClipboard();
       
+      } else if(ev.keyCode === 90 || ev.keyCode === 89) { // z || y
+        if(this.editorMode) {
+          var type = (ev.keyCode === 90 ? "tmap:tm-undo" : "tmap:tm-redo");
+          $tw.rootWidget.dispatchEvent({ type: type });
+        } else {
+          $tm.notify("Map is read only!");
+        }
+        
       } else if(ev.keyCode === 65) { // a
         var allNodes = Object.keys(this.graphData.nodesById);
         this.network.selectNodes(allNodes);
@@ -1146,17 +1182,19 @@ MapWidget.prototype.handlePasteNodesFromClipboard = function() {
       var nodes = $tm.clipBoard.nodes;
       var ids = Object.keys(nodes);
       if(ids.length) {
-        for(var id in nodes) {
-          
-          // node already present in this view
-          if(this.graphData.nodesById[id]) continue;
-          
-          this.view.addNode(nodes[id]);
-          // paste nodes already so we can select them!
-          this.graphData.nodes.update({
-            id: id
-          });
-        }
+        $tm.adapter.transaction(function() {
+          for(var id in nodes) {
+            
+            // node already present in this view
+            if(this.graphData.nodesById[id]) continue;
+            
+            this.view.addNode(nodes[id]);
+            // paste nodes already so we can select them!
+            this.graphData.nodes.update({
+              id: id
+            });
+          }
+        }.bind(this));
         this.network.selectNodes(ids);
         $tm.notify("pasted " + ids.length + " nodes into map.");
       }
@@ -1386,23 +1424,27 @@ MapWidget.prototype.handleEditView = function() {
     // ATTENTION: needs to be tested before applying new config!
     var prvBg = this.view.getConfig("background_image");
     
-    this.view.setConfig(config);
-    if(config["physics_mode"] && !this.view.isEnabled("physics_mode")) {
-      // when not in physics mode, store positions
-      // to prevent floating afterwards
-      this.handleStorePositions();
-    }
+    $tm.adapter.transaction(function() {
+    
+      this.view.setConfig(config);
+      if(config["physics_mode"] && !this.view.isEnabled("physics_mode")) {
+        // when not in physics mode, store positions
+        // to prevent floating afterwards
+        this.handleStorePositions();
+      }
+      
+      var nf = utils.getField(outTObj, "filter.prettyNodeFltr", "");
+      var eTf = utils.getField(outTObj, "filter.prettyEdgeFltr", "");
+      
+      this.view.setNodeFilter(nf);
+      this.view.setEdgeTypeFilter(eTf);
+      
+    }.bind(this), "Configure view");
     
     var curBg = this.view.getConfig("background_image");
     if(curBg && curBg !== prvBg) {
       $tm.notify("Background changed! You may need to zoom out a bit.");      
     }
-    
-    var nf = utils.getField(outTObj, "filter.prettyNodeFltr", "");
-    var eTf = utils.getField(outTObj, "filter.prettyEdgeFltr", "");
-    
-    this.view.setNodeFilter(nf);
-    this.view.setEdgeTypeFilter(eTf);
           
   });
   
@@ -1410,13 +1452,14 @@ MapWidget.prototype.handleEditView = function() {
 
 /**
  * Triggers a download dialog where the user can store the canvas
- * as png on his/her harddrive.
+ * as png or svg on his/her harddrive.
  */
 MapWidget.prototype.handleSaveCanvas = function() {
   
   var tempImagePath = "$:/temp/tmap/snapshot";
   var tempImage = this.createAndSaveSnapshot(tempImagePath);
-  var defaultName = utils.getSnapshotTitle(this.view.getLabel(), "png");
+  var label = this.view.getLabel();
+  var defaultName = utils.getSnapshotTitle(label, "png");
   
   var args = {
     dialog: {
@@ -1425,7 +1468,8 @@ MapWidget.prototype.handleSaveCanvas = function() {
       height: this.canvas.height.toString(),
       preselects: {
         name: defaultName,
-        action: "download"
+        action: "download",
+        format: "png"
       }
     }
   };
@@ -1434,19 +1478,29 @@ MapWidget.prototype.handleSaveCanvas = function() {
   this.dialogManager.open(name, args, function(isConfirmed, outTObj) {
     if(!isConfirmed) return;
     
+    var format = outTObj.fields.format;
+    
     // allow the user to override the default name or if name is
     // empty use the original default name
-    defaultName = outTObj.fields.name || defaultName;
+    var name = outTObj.fields.name;
+    if(!name || name === defaultName) {
+      name = utils.getSnapshotTitle(label, format);
+    }
+    
+    if(format === "svg") {
+      // replace the png preview with the vector graphic
+      this.createAndSaveSnapshot(tempImagePath, format);
+    }
     
     var action = outTObj.fields.action;
     
     if(action === "download") {
-      this.handleDownloadSnapshot(defaultName);
+      this.handleDownloadSnapshot(name, format);
       
     } else if(action === "wiki") { 
-      utils.cp(tempImagePath, defaultName, true); 
+      utils.cp(tempImagePath, name, true); 
       this.dispatchEvent({
-        type: "tm-navigate", navigateTo: defaultName
+        type: "tm-navigate", navigateTo: name
       });
       
     } else if(action === "placeholder") { 
@@ -1461,12 +1515,19 @@ MapWidget.prototype.handleSaveCanvas = function() {
   
 };
 
-MapWidget.prototype.handleDownloadSnapshot = function(title) {
+/**
+ * @param {string} [title] - The name of the downloaded file.
+ * @param {string} [format="png"] - Either "png" or "svg".
+ */
+MapWidget.prototype.handleDownloadSnapshot = function(title, format) {
   
   var a = this.document.createElement("a");
   var label = this.view.getLabel();
-  a.download = title || utils.getSnapshotTitle(label, "png");
-  a.href = this.getSnapshot();
+  a.download = title || utils.getSnapshotTitle(label, format);
+  a.href = (format === "svg"
+            ? "data:image/svg+xml;charset=utf-8,"
+              + encodeURIComponent(this.getSvgSnapshot())
+            : this.getSnapshot());
 
   // we cannot simply call click() on <a>; chrome is cool with it but
   // firefox requires us to create a mouse event…
@@ -1475,14 +1536,19 @@ MapWidget.prototype.handleDownloadSnapshot = function(title) {
   
 };
 
-MapWidget.prototype.createAndSaveSnapshot = function(title) {
+/**
+ * @param {string} [title] - The title of the image tiddler.
+ * @param {string} [format="png"] - Either "png" or "svg".
+ */
+MapWidget.prototype.createAndSaveSnapshot = function(title, format) {
     
   var label = this.view.getLabel();
   var tRef = title || this.view.getRoot() + "/snapshot";
-  $tw.wiki.addTiddler(new $tw.Tiddler({
+  var isSvg = (format === "svg");
+  utils.storeTiddler(new $tw.Tiddler({
     title: tRef,
-    type: "image/png",
-    text: this.getSnapshot(true),
+    type: (isSvg ? "image/svg+xml" : "image/png"),
+    text: (isSvg ? this.getSvgSnapshot() : this.getSnapshot(true)),
     modified: new Date()
   }));
   
@@ -1499,6 +1565,571 @@ MapWidget.prototype.getSnapshot = function(stripPreamble) {
   
 };
 
+/**
+ * Draws the network with its current node positions as svg. In
+ * contrast to {@link MapWidget#getSnapshot}, the image is not
+ * limited to the visible part of the canvas.
+ *
+ * @return {string} The svg document.
+ */
+MapWidget.prototype.getSvgSnapshot = function() {
+  
+  var renderer = new SvgRenderer(this.network, this.graphData, {
+    visOptions: this.visOptions,
+    backgroundImage: this.backgroundImage
+  });
+  
+  return renderer.render();
+  
+};
+
+/**
+ * Opens a dialog where the user can save the whole graph as png
+ * image in a chosen resolution, e.g. for printing.
+ */
+MapWidget.prototype.handleSaveHighResImage = function() {
+  
+  var label = this.view.getLabel();
+  var defaultName = utils.getSnapshotTitle(label, "png");
+  
+  var args = {
+    dialog: {
+      preselects: {
+        name: defaultName,
+        dpi: "300",
+        showTitle: "true",
+        showLegend: "true",
+        showTimestamp: "false",
+        action: "download"
+      }
+    }
+  };
+
+  var name = "saveHighResImage";
+  this.dialogManager.open(name, args, function(isConfirmed, outTObj) {
+    if(!isConfirmed) return;
+    
+    var fields = outTObj.fields;
+    var name = fields.name || defaultName;
+    var options = {
+      scale: (parseInt(fields.dpi) || 96) / 96,
+      title: (utils.isTrue(fields.showTitle) ? label : null),
+      isLegend: utils.isTrue(fields.showLegend),
+      isTimestamp: utils.isTrue(fields.showTimestamp)
+    };
+    
+    var action = fields.action;
+    
+    $tm.notify("Drawing image…");
+    
+    this.renderHighResImage(options, function(data) {
+      
+      if(action === "wiki") {
+        utils.storeTiddler(new $tw.Tiddler({
+          title: name,
+          type: "image/png",
+          text: utils.getWithoutPrefix(data, "data:image/png;base64,")
+        }, $tw.wiki.getCreationFields()));
+        this.dispatchEvent({
+          type: "tm-navigate", navigateTo: name
+        });
+        
+      } else {
+        var a = this.document.createElement("a");
+        a.download = name;
+        a.href = data;
+        a.dispatchEvent(new MouseEvent('click'));
+        
+      }
+      
+    }.bind(this));
+          
+  });
+  
+};
+
+/**
+ * Draws the whole graph as png image, independently of the size of
+ * the canvas and the current zoom level. For this, the graph is
+ * copied into a hidden network that is as large as the bounding box
+ * of all nodes and the background image.
+ * 
+ * Drawing is asynchronous: The image is taken once the images of
+ * all image nodes are loaded and vis has drawn the graph. If drawing
+ * fails, e.g. because a cross-origin image taints the canvas, the
+ * user is notified and the callback is not called.
+ * 
+ * @param {Object} [options]
+ * @param {number} [options.scale=1] - The scale factor; 1 corresponds
+ *     to a zoom level of 100%.
+ * @param {string} [options.title] - A title printed above the graph.
+ * @param {boolean} [options.isLegend] - Whether to print a legend of
+ *     the visible node-types and edge-types below the graph.
+ * @param {boolean} [options.isTimestamp] - Whether to print the time
+ *     of the export below the graph.
+ * @param {function(string)} callback - Receives the image as data uri.
+ */
+MapWidget.prototype.renderHighResImage = function(options, callback) {
+  
+  options = options || {};
+  
+  var positions = this.network.getPositions();
+  var bounds = this._getGraphBounds(positions);
+  var padding = 20;
+  var width = bounds.maxX - bounds.minX + 2 * padding;
+  var height = bounds.maxY - bounds.minY + 2 * padding;
+  var scale = options.scale || 1;
+  
+  // browsers refuse to draw on very large canvases
+  var maxSize = 8000;
+  if(Math.max(width, height) * scale > maxSize) {
+    scale = maxSize / Math.max(width, height);
+    $tm.notify("Image too large; resolution reduced");
+  }
+  
+  width = Math.round(width * scale);
+  height = Math.round(height * scale);
+  
+  // vis multiplies the canvas size with the pixel ratio of the device
+  var pixelRatio = window.devicePixelRatio || 1;
+  
+  var container = this.document.createElement("div");
+  container.style.position = "absolute";
+  container.style.left = "-100000px";
+  container.style.top = "0";
+  container.style.width = (width / pixelRatio) + "px";
+  container.style.height = (height / pixelRatio) + "px";
+  this.document.body.appendChild(container);
+  
+  var nodes = this.graphData.nodes.get();
+  for(var i = nodes.length; i--;) {
+    var pos = positions[nodes[i].id];
+    if(pos) {
+      nodes[i].x = pos.x;
+      nodes[i].y = pos.y;
+    }
+  }
+  
+  var visOptions = utils.merge({}, this.visOptions, {
+    autoResize: false,
+    clickToUse: false,
+    physics: { enabled: false },
+    layout: { hierarchical: { enabled: false } },
+    manipulation: { enabled: false },
+    interaction: { dragView: false, zoomView: false }
+  });
+  
+  var network = null;
+  var data = null;
+  
+  var fail = function(err) {
+    $tm.logger("error", "Drawing the image failed", err);
+    $tm.notify("Drawing the image failed: " + err.message);
+  };
+  
+  var cleanup = function() {
+    if(network) network.destroy();
+    if(container.parentNode) container.parentNode.removeChild(container);
+  };
+  
+  var handleAfterDrawing = function() {
+    
+    network.off("afterDrawing", handleAfterDrawing);
+    
+    try {
+      var graphCanvas = container.getElementsByTagName("canvas")[0];
+      data = this._composeImage(graphCanvas, scale, options);
+    } catch(err) {
+      fail(err);
+    } finally {
+      cleanup();
+    }
+    
+    if(data) callback(data);
+    
+  }.bind(this);
+  
+  try {
+    
+    network = new vis.Network(container, {
+      nodes: new vis.DataSet(nodes),
+      edges: new vis.DataSet(this.graphData.edges.get())
+    }, visOptions);
+    
+    network.on("beforeDrawing", this.handleVisBeforeDrawing.bind(this));
+    
+  } catch(err) {
+    
+    fail(err);
+    cleanup();
+    return;
+    
+  }
+  
+  // vis starts loading the images as soon as the network exists;
+  // the images are requested again to know when they are available
+  loadImages(getNodeImages(nodes), function() {
+    
+    try {
+      network.on("afterDrawing", handleAfterDrawing);
+      network.moveTo({
+        position: {
+          x: (bounds.minX + bounds.maxX) / 2,
+          y: (bounds.minY + bounds.maxY) / 2
+        },
+        scale: scale / pixelRatio,
+        animation: false
+      });
+      network.redraw();
+    } catch(err) {
+      fail(err);
+      cleanup();
+    }
+    
+  });
+  
+};
+
+/**
+ * Returns the area covered by the nodes and the background image.
+ * 
+ * @private
+ * @param {Object<Id, Position>} positions - The node positions.
+ * @return {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+MapWidget.prototype._getGraphBounds = function(positions) {
+  
+  var bounds = {
+    minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity
+  };
+  
+  var add = function(box) {
+    bounds.minX = Math.min(bounds.minX, box.left);
+    bounds.minY = Math.min(bounds.minY, box.top);
+    bounds.maxX = Math.max(bounds.maxX, box.right);
+    bounds.maxY = Math.max(bounds.maxY, box.bottom);
+  };
+  
+  for(var id in positions) {
+    if(typeof this.network.getBoundingBox === "function") {
+      // includes the label
+      add(this.network.getBoundingBox(id));
+    } else {
+      var pos = positions[id];
+      add({
+        left: pos.x - 50, top: pos.y - 50,
+        right: pos.x + 50, bottom: pos.y + 50
+      });
+    }
+  }
+  
+  var img = this.backgroundImage;
+  if(img) {
+    add({ left: 0, top: 0, right: img.width, bottom: img.height });
+  }
+  
+  if(bounds.minX === Infinity) {
+    add({ left: 0, top: 0, right: 0, bottom: 0 });
+  }
+  
+  return bounds;
+  
+};
+
+/**
+ * Draws the graph onto a white canvas, together with the title, the
+ * legend and the timestamp.
+ * 
+ * @private
+ * @param {HTMLCanvasElement} graphCanvas - The drawn graph.
+ * @param {number} scale - The scale factor used for texts.
+ * @param {Object} options - See {@link MapWidget#renderHighResImage}.
+ * @return {string} The image as data uri.
+ */
+MapWidget.prototype._composeImage = function(graphCanvas, scale, options) {
+  
+  var canvas = this.document.createElement("canvas");
+  var context = canvas.getContext("2d");
+  var fontSize = Math.round(14 * scale);
+  var gap = Math.round(10 * scale);
+  var width = graphCanvas.width;
+  var legend = (options.isLegend ? this._getLegendItems() : []);
+  
+  // first pass: measure the legend to determine the image height
+  context.font = fontSize + "px arial";
+  var swatchWidth = 3 * fontSize;
+  var lineHeight = fontSize + gap;
+  var rows = [];
+  var x = gap;
+  for(var i = 0; i < legend.length; i++) {
+    var itemWidth = swatchWidth + gap
+                    + context.measureText(legend[i].label).width + 2 * gap;
+    if(!rows.length || (x + itemWidth > width && x > gap)) {
+      rows.push([]);
+      x = gap;
+    }
+    legend[i].x = x;
+    rows[rows.length - 1].push(legend[i]);
+    x += itemWidth;
+  }
+  
+  var titleHeight = (options.title ? 2 * fontSize + 2 * gap : 0);
+  var footerHeight = rows.length * lineHeight
+                     + (options.isTimestamp ? lineHeight : 0)
+                     + (rows.length || options.isTimestamp ? gap : 0);
+  
+  canvas.width = width;
+  canvas.height = titleHeight + graphCanvas.height + footerHeight;
+  
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(graphCanvas, 0, titleHeight);
+  context.textBaseline = "middle";
+  context.fillStyle = "#343434";
+  
+  if(options.title) {
+    context.font = "bold " + (2 * fontSize) + "px arial";
+    context.textAlign = "center";
+    context.fillText(options.title, width / 2, titleHeight / 2);
+  }
+  
+  context.font = fontSize + "px arial";
+  context.textAlign = "left";
+  
+  var y = titleHeight + graphCanvas.height + gap + fontSize / 2;
+  for(var i = 0; i < rows.length; i++, y += lineHeight) {
+    for(var j = 0; j < rows[i].length; j++) {
+      var item = rows[i][j];
+      context.save();
+      context.strokeStyle = context.fillStyle = item.color;
+      if(item.isEdge) {
+        context.lineWidth = Math.max(1, scale);
+        if(item.dashes && context.setLineDash) {
+          context.setLineDash([ 5 * scale, 5 * scale ]);
+        }
+        context.beginPath();
+        context.moveTo(item.x, y);
+        context.lineTo(item.x + swatchWidth, y);
+        context.stroke();
+      } else {
+        context.beginPath();
+        context.arc(item.x + swatchWidth / 2, y, fontSize / 2, 0,
+                    2 * Math.PI);
+        context.fill();
+      }
+      context.restore();
+      context.fillText(item.label, item.x + swatchWidth + gap, y);
+    }
+  }
+  
+  if(options.isTimestamp) {
+    context.textAlign = "right";
+    context.fillText($tw.utils.formatDateString(new Date(),
+                                                "YYYY-0MM-0DD 0hh:0mm"),
+                     width - gap, y);
+  }
+  
+  return canvas.toDataURL("image/png");
+  
+};
+
+/**
+ * Collects the node-types and edge-types of the visible graph.
+ * 
+ * @private
+ * @return {Array<Object>} A list of legend items, each consisting of
+ *     a label, a color and, in case of edge-types, an `isEdge` flag
+ *     and the dashes of the type's style.
+ */
+MapWidget.prototype._getLegendItems = function() {
+  
+  var items = [];
+  var nodesById = this.graphData.nodesById;
+  var tById = $tm.indeces.tById;
+  var titles = [];
+  for(var id in nodesById) {
+    if(tById[id]) titles.push(tById[id]);
+  }
+  
+  var glNTy = $tm.indeces.glNTy;
+  for(var i = 0; i < glNTy.length; i++) {
+    var type = glNTy[i];
+    var isUsed = false;
+    if(type.id === "tmap:neighbour") { // special case
+      for(var id in nodesById) {
+        if(nodesById[id].group === "tmap:neighbour") isUsed = true;
+      }
+    } else {
+      isUsed = !!type.getInheritors(titles).length;
+    }
+    if(!isUsed) continue;
+    
+    var color = (type.style || {}).color;
+    items.push({
+      label: type.id,
+      color: (typeof color === "object" ? color.background : color)
+             || "#97C2FC"
+    });
+  }
+  
+  var isListed = utils.makeHashMap();
+  var edgesById = this.graphData.edgesById;
+  for(var id in edgesById) {
+    var typeId = edgesById[id].type;
+    if(!typeId || isListed[typeId]) continue;
+    isListed[typeId] = true;
+    
+    var type = new EdgeType(typeId);
+    var style = type.getStyle() || {};
+    var color = style.color;
+    items.push({
+      label: type.getLabel(),
+      isEdge: true,
+      dashes: style.dashes,
+      color: (typeof color === "object" ? color.color : color)
+             || "#848484"
+    });
+  }
+  
+  return items;
+  
+};
+
+/**
+ * Downloads the view as a single html file that displays a read-only,
+ * zoomable map without TiddlyWiki. The file contains vis.js, the
+ * styled graph with the current node positions and pre-rendered
+ * tooltips. FontAwesome icons are only shown if the font is
+ * installed on the viewer's system.
+ */
+MapWidget.prototype.handleExportHtml = function() {
+  
+  var visSource = $tw.wiki.getTiddlerText("$:/plugins/felixhayashi/vis/vis.js");
+  if(!visSource) {
+    $tm.notify("Cannot find vis.js");
+    return;
+  }
+  
+  var label = this.view.getLabel();
+  var graph = $tm.adapter.getGraph({ view: this.view });
+  var positions = this.network.getPositions();
+  var tById = $tm.indeces.tById;
+  
+  var nodes = [];
+  for(var id in graph.nodes) {
+    var node = graph.nodes[id];
+    if(positions[id]) {
+      node.x = positions[id].x;
+      node.y = positions[id].y;
+    }
+    node.title = this._getStaticTooltip(tById[id]);
+    nodes.push(node);
+  }
+  
+  var edges = [];
+  for(var id in graph.edges) {
+    var edge = graph.edges[id];
+    var type = $tm.indeces.allETy[edge.type];
+    if(type) {
+      edge.title = (type.getDescription()
+                    ? $tw.wiki.renderText("text/html", "text/vnd-tiddlywiki",
+                                          type.getDescription())
+                    : $tw.utils.htmlEncode(type.getLabel()));
+    }
+    edges.push(edge);
+  }
+  
+  // the map is read-only and its nodes are already positioned
+  var options = utils.merge(this.getVisOptions(), {
+    clickToUse: false,
+    physics: { enabled: false },
+    layout: { hierarchical: { enabled: false } },
+    manipulation: { enabled: false },
+    interaction: { dragNodes: false, zoomView: true, hover: true }
+  });
+  
+  var img = this.backgroundImage;
+  
+  var html = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8" />',
+    '<title>' + $tw.utils.htmlEncode(label) + '</title>',
+    '<style>',
+    'html, body, #map { margin: 0; width: 100%; height: 100%; }',
+    'div.network-tooltip, div.vis-network-tooltip {',
+    '  position: absolute; visibility: hidden; max-width: 400px;',
+    '  padding: 5px; font-family: arial; font-size: 14px;',
+    '  background: #f5f4ed; border: 1px solid #808074;',
+    '  border-radius: 3px; box-shadow: 3px 3px 10px rgba(0,0,0,0.2);',
+    '}',
+    '</style>',
+    '<script>' + escapeScript(visSource) + '</script>',
+    '</head>',
+    '<body>',
+    '<div id="map"></div>',
+    '<script>',
+    'var network = new vis.Network(document.getElementById("map"), {',
+    '  nodes: new vis.DataSet(' + escapeScript(JSON.stringify(nodes)) + '),',
+    '  edges: new vis.DataSet(' + escapeScript(JSON.stringify(edges)) + ')',
+    '}, ' + escapeScript(JSON.stringify(options)) + ');',
+    (img
+     ? 'var img = new Image();\n'
+       + 'img.onload = function() { network.redraw(); };\n'
+       + 'img.src = ' + escapeScript(JSON.stringify(img.src)) + ';\n'
+       + 'network.on("beforeDrawing", function(ctx) {\n'
+       + '  if(img.complete) ctx.drawImage(img, 0, 0);\n'
+       + '});'
+     : ''),
+    'network.fit();',
+    '</script>',
+    '</body>',
+    '</html>'
+  ].join("\n");
+  
+  var tRef = "$:/temp/tmap/export";
+  
+  // plain text prevents the content from being wikified on download
+  $tw.wiki.addTiddler(new $tw.Tiddler({
+    title: tRef,
+    type: "text/plain",
+    text: html
+  }));
+  
+  this.dispatchEvent({
+    type: "tm-download-file",
+    param: tRef,
+    paramObject: { filename: label + ".html" }
+  });
+  
+};
+
+/**
+ * Renders the tooltip of a node to static html, using the same
+ * sources as {@link MapWidget#constructTooltip}.
+ * 
+ * @private
+ * @param {TiddlerReference} tRef - The tiddler represented by the node.
+ * @return {string} The html.
+ */
+MapWidget.prototype._getStaticTooltip = function(tRef) {
+  
+  var tObj = utils.getTiddler(tRef);
+  if(!tObj) return $tw.utils.htmlEncode(tRef);
+  
+  var descr = tObj.fields[$tm.field.nodeInfo];
+  
+  if(descr) {
+    return $tw.wiki.renderText("text/html", "text/vnd-tiddlywiki", descr);
+  } else if(tObj.fields.text) {
+    return $tw.wiki.renderTiddler("text/html", tRef);
+  } else {
+    return $tw.utils.htmlEncode(tRef);
+  }
+  
+};
+
 MapWidget.prototype.handleDeleteView = function() {
   
   var viewname = this.view.getLabel();
@@ -1601,7 +2232,10 @@ MapWidget.prototype.handleRemoveElements = function(elements) {
 
 MapWidget.prototype.handleRemoveEdges = function(edgeIds) {
   
-  $tm.adapter.deleteEdges(this.graphData.edges.get(edgeIds));
+  var edges = this.graphData.edges.get(edgeIds);
+  $tm.adapter.transaction(function() {
+    this.deleteEdges(edges, { isUserAction: true });
+  }, "Remove edges");
   $tm.notify("edge" + (edgeIds.length > 1 ? "s" : "") + " removed");
   
   this.preventFitAfterRebuild = true;
@@ -1635,24 +2269,29 @@ MapWidget.prototype.handleRemoveNodes = function(nodeIds) {
   this.dialogManager.open(name, params, function(isConfirmed, outTObj) {
     
     if(!isConfirmed) return;
+    
+    var deletionCount = 0;
+    
+    $tm.adapter.transaction(function() {
       
-    if(outTObj.fields["delete-from"] === "system") {
+      if(outTObj.fields["delete-from"] === "system") {
 
-      // will also delete edges
-      $tm.adapter.deleteNodes(nodeIds);
-      var deletionCount = nodeIds.length; // we just say so ;)
+        // will also delete edges
+        $tm.adapter.deleteNodes(nodeIds, { isUserAction: true });
+        deletionCount = nodeIds.length; // we just say so ;)
 
-    } else {
-    
-      var deletionCount = 0;
-      for(var i = nodeIds.length; i--;) {
-        
-        var success = this.view.removeNode(nodeIds[i]);
-        if(success) deletionCount++;
+      } else {
       
+        for(var i = nodeIds.length; i--;) {
+          
+          var success = this.view.removeNode(nodeIds[i]);
+          if(success) deletionCount++;
+        
+        }
+        
       }
       
-    }
+    }.bind(this), "Remove nodes");
     
     this.preventFitAfterRebuild = true;
     
@@ -1744,7 +2383,13 @@ MapWidget.prototype.handleStorePositions = function(withNotify) {
     data[id].x = positions[id].x;
     data[id].y = positions[id].y;
   }
-  this.view.saveNodeData(data);
+  
+  // positions are also stored automatically, e.g. after the network
+  // stabilized; only an explicit request is recorded as undo step.
+  $tm.adapter.transaction(function() {
+    this.view.saveNodeData(data);
+  }.bind(this), (withNotify ? "Store positions" : null));
+  
   this.ignoreNextViewModification = true;
       
   if(withNotify) {
@@ -1811,6 +2456,164 @@ MapWidget.prototype.handleFocusNode = function(event) {
   });
 };
 
+/**
+ * Highlights the shortest route between two nodes of the graph and
+ * dims all other graph elements. Only nodes and edges that are
+ * currently displayed in the graph are considered for the route.
+ * 
+ * @param {Object} event - An object containing a `paramObject`
+ *     with the properties `from` and `to` (tiddler references) and
+ *     optionally `direction` ("in", "out" or "both") and `type` (an
+ *     edge type id that restricts which edges may be travelled;
+ *     edges of its subtypes may be travelled as well).
+ */
+MapWidget.prototype.handleFindPath = function(event) {
+  
+  var params = event.paramObject || {};
+  var tById = $tm.indeces.tById;
+  var nodesById = this.graphData.nodesById;
+  var edgesById = this.graphData.edgesById;
+  
+  var toWL = utils.makeHashMap();
+  for(var id in nodesById) {
+    toWL[tById[id]] = true;
+  }
+  
+  if(params.type) {
+    var typeWL = new EdgeType(params.type).getSubtypeWhitelist();
+  } else {
+    var typeWL = this.view.getEdgeTypeFilter("whitelist");
+  }
+  
+  var path = $tm.adapter.getShortestPath(params.from, params.to, {
+    view: this.view,
+    direction: params.direction,
+    toWL: toWL,
+    typeWL: typeWL
+  });
+  
+  if(!path) {
+    $tm.notify("No path found");
+    return;
+  }
+  
+  // the start may lie outside the graph, so check each element
+  var nodeIds = [];
+  for(var i = path.nodes.length; i--;) {
+    var id = $tm.adapter.getId(path.nodes[i]);
+    if(nodesById[id]) nodeIds.push(id);
+  }
+  
+  var edgeIds = [];
+  for(var i = path.edges.length; i--;) {
+    if(edgesById[path.edges[i].id]) edgeIds.push(path.edges[i].id);
+  }
+  
+  this.highlightElements(nodeIds, edgeIds);
+  
+};
+
+/**
+ * Resets any highlighting and zooms to fit the graph.
+ */
+MapWidget.prototype.handleResetFocus = function() {
+  
+  this.resetHighlighting();
+  this.repaintGraph();
+  
+};
+
+/**
+ * Dims all nodes and edges of the graph except the ones specified,
+ * which are selected instead. Call {@link MapWidget#resetHighlighting}
+ * to restore the original appearance of the graph. A rebuild of
+ * the graph also removes the highlighting.
+ * 
+ * @param {Array<Id>} nodeIds - The nodes to highlight.
+ * @param {Array<Id>} edgeIds - The edges to highlight.
+ */
+MapWidget.prototype.highlightElements = function(nodeIds, edgeIds) {
+  
+  this.resetHighlighting();
+  
+  var dimmedColor = "#E6E6E6";
+  var dimmed = this.dimmedElements = { nodes: [], edges: [] };
+  
+  var nodeWL = utils.getArrayValuesAsHashmapKeys(nodeIds);
+  var nodesById = this.graphData.nodesById;
+  var nodeUpdates = [];
+  for(var id in nodesById) {
+    if(nodeWL[id]) continue;
+    
+    dimmed.nodes.push(id);
+    nodeUpdates.push({
+      id: id,
+      color: { border: dimmedColor, background: dimmedColor },
+      font: { color: dimmedColor }
+    });
+  }
+  
+  var edgeWL = utils.getArrayValuesAsHashmapKeys(edgeIds);
+  var edgesById = this.graphData.edgesById;
+  var edgeUpdates = [];
+  for(var id in edgesById) {
+    if(edgeWL[id]) continue;
+    
+    dimmed.edges.push(id);
+    edgeUpdates.push({
+      id: id,
+      color: { color: dimmedColor },
+      font: { color: dimmedColor }
+    });
+  }
+  
+  this.graphData.nodes.update(nodeUpdates);
+  this.graphData.edges.update(edgeUpdates);
+  
+  this.network.setSelection({ nodes: nodeIds, edges: edgeIds }, {
+    highlightEdges: false
+  });
+  
+};
+
+/**
+ * Restores the original appearance of elements that have been
+ * dimmed by {@link MapWidget#highlightElements}.
+ */
+MapWidget.prototype.resetHighlighting = function() {
+  
+  var dimmed = this.dimmedElements;
+  if(!dimmed) return;
+  
+  this.dimmedElements = null;
+  
+  var gd = this.graphData;
+  
+  // elements may have been removed by a rebuild in the meantime
+  var nodeIds = dimmed.nodes.filter(function(id) {
+    return gd.nodesById[id];
+  });
+  
+  // like in getRefreshedDataSet(), we remove and re-insert the
+  // elements instead of setting nested properties to null; the
+  // current positions are kept so nodes do not jump around.
+  var positions = this.network.getPositions(nodeIds);
+  var nodes = [];
+  for(var i = nodeIds.length; i--;) {
+    var id = nodeIds[i];
+    nodes.push(utils.merge({}, gd.nodesById[id], positions[id]));
+  }
+  
+  gd.nodes.remove(nodeIds);
+  gd.nodes.update(nodes);
+  
+  // re-insert all edges so they are reconnected to the nodes
+  this.getRefreshedDataSet(gd.edgesById, gd.edgesById, gd.edges);
+  
+  this.network.unselectAll();
+  
+};
+
 /**
  * A zombie widget is a widget that is removed from the dom tree
  * but still referenced or still partly executed -- I mean
@@ -1888,8 +2691,10 @@ MapWidget.prototype.handleInsertNode = function(node) {
         return;
         
       } else {
-        node = $tm.adapter.makeNode(tRef, node);
-        this.view.addNode(node);
+        $tm.adapter.transaction(function() {
+          node = $tm.adapter.makeNode(tRef, node);
+          this.view.addNode(node);
+        }.bind(this), "Add node");
         
       }
       
@@ -1898,7 +2703,9 @@ MapWidget.prototype.handleInsertNode = function(node) {
       var tObj = new $tw.Tiddler(outTObj, { "draft.title": null });
       
       node.label = tRef;
-      $tm.adapter.insertNode(node, this.view, tObj);
+      $tm.adapter.transaction(function() {
+        $tm.adapter.insertNode(node, this.view, tObj);
+      }.bind(this), "Insert node");
     
     }
     
@@ -1980,22 +2787,26 @@ MapWidget.prototype.handleEditNode = function(node) {
     
     var fields = outTObj.fields;
     
-    // save or remove global individual style
-    var global = utils.getPropertiesByPrefix(fields, "global.", true);
-    for(var p in global) {
-      utils.setField(tRef, p, global[p] || undefined);
-    }
-    
-    // save local individual data (style + config)
-    var local = utils.getPropertiesByPrefix(fields, "local.", true);
-    // CAREFUL: Never change "local-node-style" to "local.node-style"
-    // (with a dot) because it will get included in the loop!
-    var data = utils.parseJSON(fields["local-node-style"], {});
-    for(var p in local) {
-      data[p] = local[p] || undefined;
-    } 
-    
-    this.view.saveNodeStyle(node.id, data);
+    $tm.adapter.transaction(function() {
+      
+      // save or remove global individual style
+      var global = utils.getPropertiesByPrefix(fields, "global.", true);
+      for(var p in global) {
+        utils.setField(tRef, p, global[p] || undefined);
+      }
+      
+      // save local individual data (style + config)
+      var local = utils.getPropertiesByPrefix(fields, "local.", true);
+      // CAREFUL: Never change "local-node-style" to "local.node-style"
+      // (with a dot) because it will get included in the loop!
+      var data = utils.parseJSON(fields["local-node-style"], {});
+      for(var p in local) {
+        data[p] = local[p] || undefined;
+      } 
+      
+      this.view.saveNodeStyle(node.id, data);
+      
+    }.bind(this), "Edit node");
     
     this.preventFitAfterRebuild = true;
      
@@ -2060,8 +2871,17 @@ MapWidget.prototype.handleOpenMapElementEvent = function(properties) {
   } else if(properties.edges.length) { // clicked on an edge  
     
     this.logger("debug", "Clicked on an Edge");
-    var typeId = this.graphData.edgesById[properties.edges[0]].type;
-    this.handleEditEdgeType(typeId);
+    var edge = this.graphData.edgesById[properties.edges[0]];
+    var behaviour = $tm.config.sys.edgeClickBehaviour;
+    if(edge.tiddler && utils.tiddlerExists(edge.tiddler)) {
+      this.openTiddler(edge.tiddler);
+    } else if(behaviour === "note") {
+      this.handleOpenEdgeTiddler(edge);
+    } else if(behaviour === "editor") {
+      this.handleEditEdge(edge);
+    } else {
+      this.handleEditEdgeType(edge.type);
+    }
     
   } else {
     
@@ -2073,6 +2893,46 @@ MapWidget.prototype.handleOpenMapElementEvent = function(properties) {
 
 };
 
+/**
+ * Opens the dialog to edit the metadata of an edge.
+ * 
+ * @param {Edge} edge - The edge to edit.
+ */
+MapWidget.prototype.handleEditEdge = function(edge) {
+  
+  if(!this.editorMode) return;
+  
+  $tw.rootWidget.dispatchEvent({
+    type: "tmap:tm-edit-edge",
+    paramObject: {
+      id: edge.id,
+      from: edge.from,
+      view: this.view.getLabel()
+    }
+  });
+  
+};
+
+/**
+ * Opens the edge tiddler of an edge. If the edge does not possess
+ * an edge tiddler yet, it is created.
+ * 
+ * @param {Edge} edge - The edge whose edge tiddler to open.
+ */
+MapWidget.prototype.handleOpenEdgeTiddler = function(edge) {
+  
+  if(!this.editorMode) return;
+  
+  var tRef = $tm.adapter.makeEdgeTiddler(edge);
+  
+  if(tRef) {
+    this.openTiddler(tRef);
+  } else {
+    $tm.notify("Only TiddlyMap edges can hold additional data");
+  }
+  
+};
+
 MapWidget.prototype.handleEditEdgeType = function(type) {
   
   if(!this.editorMode) return;
@@ -2217,7 +3077,9 @@ MapWidget.prototype.handleVisDragEnd = function(properties) {
             
   // fix node again and store positions
   // if in static mode, fixing will be ignored
-  this.setNodesMoveable(properties.nodes, false);
+  $tm.adapter.transaction(function() {
+    this.setNodesMoveable(properties.nodes, false);
+  }.bind(this), "Move nodes");
       
 };
 
@@ -2255,29 +3117,7 @@ MapWidget.prototype.constructTooltip = function(signature, div) {
 
     } else if(tObj.fields.text) {
       
-      // simply rendering the text is not sufficient as this prevents
-      // us from updating the tooltip content on refresh. So we need
-      // to create a temporary widget that is registered to the dom
-      // node passed by the tooltip.
-      
-      var parseTreeNode = {
-        type: "tiddler",
-        attributes: { tiddler: { type: "string", value: tRef }},
-        children: [
-          { type: "transclude", attributes: {}, isBlock: true }
-        ]
-      };
-      
-      // make sure the previously tooltip widget is removed
-      utils.removeArrayElement(this.children, this.tmpTooltipWidget);
-      // create the new tooltip widget
-      this.tmpTooltipWidget = this.makeChildWidget(parseTreeNode);
-      this.tmpTooltipWidget.setVariable("tv-tiddler-preview", "yes");
-      this.tmpTooltipWidget.render(div, null);
-      // register the tooltip widget to allow it to refresh
-      this.children.push(this.tmpTooltipWidget);
-      
-      return;
+      this.renderTiddlerInTooltip(tRef, div);
       
     } else {
       
@@ -2289,9 +3129,19 @@ MapWidget.prototype.constructTooltip = function(signature, div) {
     
     var edge = this.graphData.edgesById[id];
     var type = $tm.indeces.allETy[edge.type];
+    var edgeTObj = (edge.tiddler && utils.getTiddler(edge.tiddler));
+    
+    if(edgeTObj && edgeTObj.fields.text) {
+      
+      // the edge tiddler describes this very edge and is therefore
+      // preferred over the general description of the type
+      this.renderTiddlerInTooltip(edge.tiddler, div);
+      return;
+      
+    }
     
-    if(type.description) {
-      text = $tw.wiki.renderText(outType, inType, type.description);
+    if(type.getDescription()) {
+      text = $tw.wiki.renderText(outType, inType, type.getDescription());
     }
     
     div.innerHTML = (text || type.label || type.id);
@@ -2300,6 +3150,38 @@ MapWidget.prototype.constructTooltip = function(signature, div) {
   
 };
 
+/**
+ * Transcludes a tiddler into the tooltip's dom node.
+ * 
+ * Simply rendering the text is not sufficient as this prevents
+ * us from updating the tooltip content on refresh. So we need
+ * to create a temporary widget that is registered to the dom
+ * node passed by the tooltip.
+ * 
+ * @param {TiddlerReference} tRef - The tiddler to transclude.
+ * @param {Element} div - The tooltip's dom node.
+ */
+MapWidget.prototype.renderTiddlerInTooltip = function(tRef, div) {
+  
+  var parseTreeNode = {
+    type: "tiddler",
+    attributes: { tiddler: { type: "string", value: tRef }},
+    children: [
+      { type: "transclude", attributes: {}, isBlock: true }
+    ]
+  };
+  
+  // make sure the previously tooltip widget is removed
+  utils.removeArrayElement(this.children, this.tmpTooltipWidget);
+  // create the new tooltip widget
+  this.tmpTooltipWidget = this.makeChildWidget(parseTreeNode);
+  this.tmpTooltipWidget.setVariable("tv-tiddler-preview", "yes");
+  this.tmpTooltipWidget.render(div, null);
+  // register the tooltip widget to allow it to refresh
+  this.children.push(this.tmpTooltipWidget);
+  
+};
+
 MapWidget.prototype.handleVisHoverElement = function(ev) {
     
   if($tm.mouse.buttons) return;
@@ -2408,6 +3290,18 @@ MapWidget.prototype.openTiddlerWithId = function(id) {
   
   this.logger("debug", "Opening tiddler", tRef, "with id", id);
   
+  this.openTiddler(tRef);
+  
+};
+
+/**
+ * Opens a tiddler in the story river or, if the map is in
+ * fullscreen mode, in the fullscreen editor.
+ * 
+ * @param {TiddlerReference} tRef - The tiddler to open.
+ */
+MapWidget.prototype.openTiddler = function(tRef) {
+  
   if(this.enlargedMode === "fullscreen") {
     
     var draftTRef = this.wiki.findDraft(tRef);
@@ -2770,4 +3664,68 @@ MapWidget.prototype.addGraphButtons = function(buttonEvents) {
     
   }
   
-};
\ No newline at end of file
+};
+
+/**
+ * Returns the urls of the images used by image nodes.
+ * 
+ * @private
+ * @param {Array<Node>} nodes - The nodes.
+ * @return {Array<string>} The urls.
+ */
+var getNodeImages = function(nodes) {
+  
+  var urls = utils.makeHashMap();
+  for(var i = nodes.length; i--;) {
+    var image = nodes[i].image;
+    if(!image) continue;
+    if(typeof image === "string") {
+      urls[image] = true;
+    } else {
+      if(image.unselected) urls[image.unselected] = true;
+      if(image.selected) urls[image.selected] = true;
+    }
+  }
+  
+  return Object.keys(urls);
+  
+};
+
+/**
+ * Loads images and calls the callback when all of them are loaded
+ * or failed to load.
+ * 
+ * @private
+ * @param {Array<string>} urls - The urls of the images.
+ * @param {function} callback - Called when all images are done.
+ */
+var loadImages = function(urls, callback) {
+  
+  var pending = urls.length;
+  if(!pending) {
+    callback();
+    return;
+  }
+  
+  var handleDone = function() {
+    if(--pending === 0) callback();
+  };
+  
+  for(var i = urls.length; i--;) {
+    var img = new Image();
+    img.onload = img.onerror = handleDone;
+    img.src = urls[i];
+  }
+  
+};
+
+/**
+ * Prevents a text from closing the script element it is placed in.
+ * 
+ * @private
+ */
+var escapeScript = function(text) {
+  
+  return text.replace(/<\/(script)/gi, "<\\/$1");
+  
+};